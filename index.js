@@ -4,18 +4,56 @@
  */
 
 // Dependencies
+const crypto = require('crypto');
 const http = require('http');
 const https = require('https');
 const url = require('url');
 const { StringDecoder } = require('string_decoder');
-const fs = require('fs');
 
+const cli = require('./lib/cli');
 const config = require('./lib/config');
+const cors = require('./lib/cors');
+const _data = require('./lib/data');
 const helpers = require('./lib/helpers');
 const handlers = require('./lib/handlers');
+const logger = require('./lib/logger');
+const maintenance = require('./lib/maintenance');
+const rateLimit = require('./lib/rateLimit');
+const routing = require('./lib/router');
+const tls = require('./lib/tls');
+const workers = require('./lib/workers');
+
+const debug = logger.debuglog('http');
+
+// MIME types of the shorthands the handlers may give as content type
+const contentTypes = {
+  json: 'application/json',
+  html: 'text/html; charset=utf-8',
+};
 
 // All the server logic for both http and https servers
 const unifiedServer = (request, response) => {
+  const startedAt = process.hrtime.bigint();
+
+  // Identify the request, keeping the id given by a proxy in front of the API if there is one
+  const incomingRequestId = request.headers['x-request-id'];
+  const requestId =
+    typeof incomingRequestId === 'string' &&
+    /^[\w-]{1,64}$/.test(incomingRequestId)
+      ? incomingRequestId
+      : crypto.randomUUID();
+  const requestLogger = logger.child({ requestId });
+  response.setHeader('X-Request-Id', requestId);
+
+  // Headers of every response, whatever happens next
+  const commonHeaders = {
+    ...tls.securityHeaders(Boolean(request.socket.encrypted)),
+    ...cors.headers(request.headers.origin),
+  };
+  Object.keys(commonHeaders).forEach(name =>
+    response.setHeader(name, commonHeaders[name])
+  );
+
   // Get the URL and parse it
   const parsedUrl = url.parse(request.url, true);
 
@@ -23,6 +61,10 @@ const unifiedServer = (request, response) => {
   const path = parsedUrl.pathname;
   const trimmedPath = path.replace(/^\/+|\/+$/g, '');
 
+  // The logs tell the route rather than the path, whose params may be secrets, e.g. tokens/:id
+  const match = router.match(trimmedPath);
+  const route = match ? match.route.pattern : null;
+
   // Get the query string as an object
   const queryStringObject = parsedUrl.query;
 
@@ -32,77 +74,347 @@ const unifiedServer = (request, response) => {
   // Get the headers as an object
   const { headers } = request;
 
-  // Get the payload if any
+  /**
+   * Send the response and log it
+   *
+   * @param { { statusCode?: number, payload?: any, headers?: object, contentType?: string } } result
+   */
+  const send = ({
+    statusCode,
+    payload,
+    headers: responseHeaders,
+    contentType,
+  }) => {
+    // Use the status code called back by the handler, or default to 200
+    statusCode = typeof statusCode === 'number' ? statusCode : 200;
+
+    // Use the content type chosen by the handler (a MIME type, or a shorthand), or default to JSON
+    contentType = contentTypes[contentType || 'json'] || contentType;
+
+    // Build the body: JSON payloads default to an empty object, the others are strings or buffers.
+    // 204 & 304 responses have no body
+    const hasBody = ![204, 304].includes(statusCode);
+    let responseBody = '';
+    if (hasBody && contentType === contentTypes.json)
+      responseBody = JSON.stringify(typeof payload === 'object' ? payload : {});
+    else if (
+      hasBody &&
+      (typeof payload === 'string' || Buffer.isBuffer(payload))
+    )
+      responseBody = payload;
+
+    // Return the response
+    response.setHeader('Content-Type', contentType);
+    Object.keys(responseHeaders || {}).forEach(name =>
+      response.setHeader(name, responseHeaders[name])
+    );
+    if (hasBody)
+      response.setHeader('Content-Length', Buffer.byteLength(responseBody));
+    response.writeHead(statusCode);
+    // The response to a HEAD request is the one of the GET request, without the body
+    response.end(method === 'head' ? undefined : responseBody);
+
+    requestLogger.info('Request handled', {
+      method,
+      route,
+      status: statusCode,
+      duration: Number(process.hrtime.bigint() - startedAt) / 1e6,
+    });
+    // The payload itself is left out: the tokens are sent back under keys which can't be told apart
+    debug(
+      '%d %s (%d bytes)',
+      statusCode,
+      route,
+      Buffer.byteLength(responseBody)
+    );
+  };
+
+  // A body which is too large is answered right away: the rest of it is neither read nor waited for,
+  // the connection is closed once the response is sent
+  let tooLarge = false;
+  const rejectTooLarge = () => {
+    tooLarge = true;
+    request.pause();
+    response.on('finish', () => request.destroy());
+    response.setHeader('Connection', 'close');
+    send({ statusCode: 413, payload: { error: 'Payload too large' } });
+  };
+
+  if (Number(headers['content-length']) > config.maxBodySize)
+    return rejectTooLarge();
+
+  // Get the payload if any, up to config.maxBodySize bytes
   const decoder = new StringDecoder('utf-8');
   let buffer = '';
+  let bodySize = 0;
 
   request.on('data', data => {
+    if (tooLarge) return;
+
+    bodySize += data.length;
+    if (bodySize > config.maxBodySize) return rejectTooLarge();
+
     buffer += decoder.write(data);
   });
 
   request.on('end', async () => {
-    buffer += decoder.end();
+    if (tooLarge) return;
 
-    // Choose the handler this request should go to. If one in not found - use the notFound handler.
-    const chosenHandler =
-      typeof router[trimmedPath] !== 'undefined'
-        ? router[trimmedPath]
-        : handlers.notFound;
+    buffer += decoder.end();
+    const body = helpers.parseBody(buffer, headers['content-type']);
 
-    // Construct the data object to send to the handler
-    const data = {
-      trimmedPath,
-      queryStringObject,
-      method,
-      headers,
-      payload: helpers.parseJsonStrToObject(buffer),
-    };
+    let statusCode, payload, responseHeaders, contentType;
 
-    // Route the request to the handler specified in the router
-    let { statusCode, payload } = await chosenHandler(data);
+    if (body.error) {
+      // The request can't be handled if its body can't be read
+      statusCode = body.statusCode;
+      payload = { error: body.error };
+    } else if (cors.isPreflight(method, headers)) {
+      // Preflight requests are answered for the whole API, without reaching the handlers
+      ({ statusCode, headers: responseHeaders } = cors.preflight(
+        headers,
+        router.allowedMethods(trimmedPath)
+      ));
+    } else {
+      // Construct the data object to send to the handler
+      const data = {
+        requestId,
+        trimmedPath,
+        queryStringObject,
+        method,
+        headers,
+        clientIp: request.socket.remoteAddress,
+        clientCertificate: tls.clientCertificate(request),
+        payload: body.payload,
+        payloadFormat: body.format,
+      };
 
-    // Use the status code called back by the handler, or default to 200
-    statusCode = typeof statusCode === 'number' ? statusCode : 200;
+      debug('%s %s %o', method.toUpperCase(), route, data.payload);
 
-    // Use the payload called back by the handler, or default to an empty object
-    payload = typeof payload === 'object' ? payload : {};
+      // Route the request to the handler matching its path and method.
+      // The router adds the params captured from the path to the data
+      try {
+        ({
+          statusCode,
+          payload,
+          headers: responseHeaders,
+          contentType,
+        } = await router.handle(data));
+      } catch (error) {
+        requestLogger.error('Handler failed', { error, stack: error.stack });
+        statusCode = 500;
+        payload = { error: 'Internal server error' };
+      }
+    }
 
-    // Convert the payload to a string
-    const payloadString = JSON.stringify(payload);
+    send({ statusCode, payload, headers: responseHeaders, contentType });
+  });
+};
 
-    // Return the response
-    response.setHeader('Content-Type', 'application/json');
-    response.writeHead(statusCode);
-    response.end(payloadString);
+// Define the route table: path patterns, with the handler of each method they accept
+const routes = {
+  // Dashboard
+  '': { get: handlers.page('index') },
+  'account/create': { get: handlers.page('accountCreate') },
+  'account/edit': { get: handlers.page('accountEdit') },
+  'account/deleted': { get: handlers.page('accountDeleted') },
+  'session/create': { get: handlers.page('sessionCreate') },
+  'session/deleted': { get: handlers.page('sessionDeleted') },
+  'session/reset': { get: handlers.page('sessionReset') },
+  'checks/all': { get: handlers.page('checksList') },
+  'checks/create': { get: handlers.page('checksCreate') },
+  'checks/edit': { get: handlers.page('checksEdit') },
+  'public/*file': { get: handlers.publicAsset },
 
-    console.log('Returning the response: ', statusCode, payloadString);
-  });
+  // API
+  ping: { get: handlers.ping },
+  health: { get: handlers.health },
+  ready: { get: handlers.ready },
+  users: handlers.methods('users'),
+  'users/export': handlers.methods('userExport'),
+  'users/verification': handlers.methods('userVerification'),
+  'users/password-reset': handlers.methods('passwordReset'),
+  'users/:phone': handlers.methods('users'),
+  'users/:phone/checks': handlers.methods('userChecks'),
+  'users/:phone/tokens': handlers.methods('userTokens'),
+  'users/:phone/verification': handlers.methods('userVerification'),
+  tokens: handlers.methods('tokens'),
+  'tokens/refresh': handlers.methods('tokenRefresh'),
+  'tokens/:id': handlers.methods('tokens'),
+  checks: handlers.methods('checks'),
+  'checks/history': handlers.methods('checkHistory'),
+  'checks/:id': handlers.methods('checks'),
+  'checks/:id/history': handlers.methods('checkHistory'),
+  'admin/users': handlers.methods('adminUsers'),
+  'admin/users/:phone/suspension': handlers.methods('adminUserSuspension'),
+  'admin/checks': handlers.methods('adminChecks'),
+  'admin/checks/:id': handlers.methods('adminChecks'),
+  'admin/audit': handlers.methods('adminAudit'),
 };
 
-// Instantiate the HTTP server
-const httpServer = http.createServer(unifiedServer);
+// Instantiate the request router
+const router = routing
+  .create(routes, handlers.notFound)
+  .use(rateLimit.middleware(config.rateLimits))
+  .use(tls.requireClientCert(config.tls.adminRoutes));
+
+/**
+ * Create the HTTP & HTTPS servers of the API, not listening yet
+ *
+ * @returns { { httpServer: http.Server, httpsServer: https.Server, start: Function, stop: Function } }
+ */
+const createApp = () => {
+  const httpsServer = https.createServer(tls.serverOptions(), unifiedServer);
+  const httpServer = http.createServer(
+    config.tls.redirectHttp
+      ? tls.redirectToHttps(() => httpsServer.address().port)
+      : unifiedServer
+  );
+  let unwatchCertificates = () => {};
+
+  /**
+   * Start listening, resolving once the server is
+   *
+   * @param { http.Server } server
+   * @param { number } port
+   * @returns { Promise<number> } the port, which is picked by the system if 0 was given
+   */
+  const listen = (server, port) =>
+    new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.removeListener('error', reject);
+        resolve(server.address().port);
+      });
+    });
+
+  /**
+   * Stop accepting connections and wait for the requests in flight to be handled.
+   * The connections still open after config.shutdownTimeout are cut
+   *
+   * @param { http.Server } server
+   * @returns { Promise<void> }
+   */
+  const close = server =>
+    new Promise(resolve => {
+      if (!server.listening) return resolve();
 
-// Start the HTTP server
-httpServer.listen(config.httpPort, () => {
-  console.log(`The server is listening on port ${config.httpPort}`);
-});
+      const timeout = setTimeout(
+        () => server.closeAllConnections(),
+        config.shutdownTimeout
+      );
+      server.close(() => {
+        clearTimeout(timeout);
+        resolve();
+      });
+      server.closeIdleConnections();
+    });
 
-// Instantiate the HTTPS server
-const httpsServerOptions = {
-  key: fs.readFileSync('./https/key.pem'),
-  cert: fs.readFileSync('./https/cert.pem'),
+  const app = {
+    httpServer,
+    httpsServer,
+
+    /**
+     * Start the servers, and the background workers & maintenance unless told otherwise.
+     * The ports default to the configured ones, 0 picks free ones (e.g. in tests)
+     *
+     * @param { { httpPort?: number, httpsPort?: number, workers?: boolean } } [options]
+     * @returns { Promise<{ httpPort: number, httpsPort: number }> }
+     */
+    start: async ({
+      httpPort = config.httpPort,
+      httpsPort = config.httpsPort,
+      workers: startWorkers = true,
+    } = {}) => {
+      const ports = {
+        httpPort: await listen(httpServer, httpPort),
+        httpsPort: await listen(httpsServer, httpsPort),
+      };
+      logger.info('The HTTP server is listening', { port: ports.httpPort });
+      logger.info('The HTTPS server is listening', { port: ports.httpsPort });
+      unwatchCertificates = tls.watch(httpsServer);
+
+      if (startWorkers) {
+        workers.init();
+        maintenance.init();
+      }
+
+      return ports;
+    },
+
+    /**
+     * Stop the background workers first, so that the API reports not being ready anymore,
+     * then drain the servers and release the storage
+     *
+     * @returns { Promise<void> }
+     */
+    stop: async () => {
+      workers.stop();
+      maintenance.stop();
+      unwatchCertificates();
+      await Promise.all([close(httpServer), close(httpsServer)]);
+      _data.close();
+      logger.info('The servers are stopped');
+    },
+  };
+
+  return app;
 };
-const httpsServer = https.createServer(httpsServerOptions, unifiedServer);
-
-// Start the HTTPS server
-httpsServer.listen(config.httpsPort, () => {
-  console.log(`The server is listening on port ${config.httpsPort}`);
-});
-
-// Define a request router
-const router = {
-  ping: handlers.ping,
-  users: handlers.users,
-  tokens: handlers.tokens,
-  checks: handlers.checks,
+
+// The app started by start(), if any
+let app = null;
+
+/**
+ * Create the app and start it
+ *
+ * @param { { httpPort?: number, httpsPort?: number, workers?: boolean } } [options]
+ * @returns { Promise<{ httpPort: number, httpsPort: number }> }
+ */
+const start = options => {
+  app = createApp();
+  return app.start(options);
+};
+
+/**
+ * Stop the app started by start()
+ *
+ * @returns { Promise<void> }
+ */
+const stop = async () => {
+  if (!app) return;
+
+  const stopping = app;
+  app = null;
+  await stopping.stop();
 };
+
+// Start the API when run directly, and stop it gracefully when asked to.
+// The admin console is started along when the process runs in a terminal
+if (require.main === module) {
+  let shuttingDown = false;
+  const shutdown = async reason => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    logger.info('Shutting down', { reason });
+    cli.stop();
+    await stop();
+    process.exit(0);
+  };
+
+  start()
+    .then(() => {
+      if (process.stdin.isTTY) cli.init({ onExit: () => shutdown('cli') });
+    })
+    .catch(error => {
+      logger.error('Could not start the API', { error });
+      process.exit(1);
+    });
+
+  ['SIGTERM', 'SIGINT'].forEach(signal =>
+    process.once(signal, () => shutdown(signal))
+  );
+}
+
+// Export the API
+module.exports = { createApp, start, stop };
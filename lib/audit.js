@@ -0,0 +1,48 @@
+/**
+ * Audit trail of the admin actions, stored in the audit collection of lib/data.js
+ *
+ * Every entry tells who did what, to which record and when, e.g.
+ * { actor: '5551234567', action: 'users:suspend', target: { phone: '5550000000' }, time: 1580000000000 }
+ */
+
+// Dependencies
+const helpers = require('./helpers');
+const _data = require('./data');
+
+// Container for the module (to be exported)
+const lib = {
+  /**
+   * Record an action. The ids start with the time, so that the entries list in order
+   *
+   * @param { { actor: string, action: string, target?: object, details?: object } } entry
+   * actor is the phone of the admin, or 'console' for the admin console
+   * @returns { Promise<object> } the stored entry
+   */
+  record: async ({ actor, action, target = {}, details = {} }) => {
+    const time = Date.now();
+    const id = `${String(time).padStart(15, '0')}${helpers.createRandomString(
+      8
+    )}`;
+    const entry = { id, time, actor, action, target, details };
+
+    await _data.create('audit', id, entry);
+    return entry;
+  },
+
+  /**
+   * Read the entries, newest first
+   *
+   * @param { { actor?: string, action?: string, limit?: number, cursor?: string } } [options]
+   * @returns { Promise<{ items: object[], next: string | null }> }
+   */
+  list: ({ actor, action, limit = 50, cursor } = {}) => {
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+
+    return _data.query('audit', { filter, order: 'desc', limit, cursor });
+  },
+};
+
+// Export the module
+module.exports = lib;
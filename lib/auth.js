@@ -0,0 +1,113 @@
+/**
+ * Authorization of the requests
+ *
+ * Users may act on their own records. The roles grant permissions on everybody's records on top of that,
+ * and every access granted by a role rather than by ownership is recorded in the audit trail
+ */
+
+// Dependencies
+const _data = require('./data');
+const audit = require('./audit');
+const logger = require('./logger');
+const tokens = require('./tokens');
+
+// Permissions on the records of the other users, by role
+const permissions = {
+  user: [],
+  admin: [
+    'users:list',
+    'users:read',
+    'users:suspend',
+    'checks:list',
+    'checks:read',
+    'audit:read',
+  ],
+};
+
+// Container for the module (to be exported)
+const lib = {
+  roles: Object.keys(permissions),
+
+  /**
+   * Role of a user record, the ones created before the roles existed being plain users
+   *
+   * @param { object } userData
+   * @returns { string }
+   */
+  roleOf: userData =>
+    permissions[userData.role] !== undefined ? userData.role : 'user',
+
+  /**
+   * Find who a request is made by: the user the access token belongs to,
+   * provided the token hasn't expired and the account isn't suspended
+   *
+   * @param { string } token
+   * @returns { Promise<{ phone: string, role: string }> } rejects if there is nobody
+   */
+  authenticate: async token => {
+    const tokenData = await tokens.read(token);
+    if (tokenData.expires <= Date.now()) throw 'The token has expired';
+
+    const userData = await _data.read('users', tokenData.phone);
+    if (userData.suspended) throw 'The account is suspended';
+
+    return { phone: userData.phone, role: lib.roleOf(userData) };
+  },
+
+  /**
+   * Tell if a principal has a permission through their role
+   *
+   * @param { { role: string } } principal
+   * @param { string } permission e.g. 'checks:read'
+   * @returns { boolean }
+   */
+  can: (principal, permission) =>
+    permissions[principal.role].includes(permission),
+
+  /**
+   * Authorize a request on the records of a user, or on records owned by nobody (owner left out).
+   * Resolves with the principal if they are the owner or their role has the permission, false otherwise
+   *
+   * @param { string } token
+   * @param { { owner?: string, permission: string, target?: object, audit?: boolean } } options
+   * target describes the record for the audit trail, e.g. { checkId }.
+   * audit false leaves the recording to the caller, e.g. to add the outcome of the action
+   * @returns { Promise<{ phone: string, role: string } | false> }
+   */
+  authorize: async (
+    token,
+    { owner, permission, target = {}, audit: recordAccess = true }
+  ) => {
+    let principal;
+    try {
+      principal = await lib.authenticate(token);
+    } catch {
+      return false;
+    }
+
+    if (owner !== undefined && principal.phone === owner) return principal;
+    if (!lib.can(principal, permission)) return false;
+    if (!recordAccess) return principal;
+
+    // No access to the records of the others without a trace of it
+    try {
+      await audit.record({
+        actor: principal.phone,
+        action: permission,
+        target: owner === undefined ? target : { phone: owner, ...target },
+      });
+    } catch (error) {
+      logger.error('Could not record an admin action, refusing it', {
+        actor: principal.phone,
+        action: permission,
+        error,
+      });
+      return false;
+    }
+
+    return principal;
+  },
+};
+
+// Export the module
+module.exports = lib;
@@ -0,0 +1,410 @@
+/**
+ * Admin console, attached to the terminal of the running process
+ *
+ * Type `help` for the list of the commands. Arguments are given as --value, e.g. `more user info --5551234567`
+ */
+
+// Dependencies
+const os = require('os');
+const readline = require('readline');
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const _data = require('./data');
+const audit = require('./audit');
+const auth = require('./auth');
+const logs = require('./logs');
+const maintenance = require('./maintenance');
+const tokens = require('./tokens');
+
+// Commands, with their description
+const commands = {
+  help: 'Show this help page',
+  exit: 'Stop the API and exit',
+  stats: 'CPU, memory and event loop statistics of the process',
+  'list users': 'Show the users',
+  'more user info --{phone}': 'Show the details of a user',
+  'list checks --up --down':
+    'Show the checks, optionally only the ones which are up or down',
+  'more check info --{id}': 'Show the details of a check',
+  'list logs': 'Show the log files of the checks',
+  'more log info --{fileName}': 'Show the entries of a log file',
+  'revoke tokens --{phone}':
+    'Revoke all the tokens of a user, logging them out',
+  'grant admin --{phone}': 'Give a user the admin role',
+  'revoke admin --{phone}': 'Take the admin role away from a user',
+  'run maintenance --dry-run':
+    'Purge the expired tokens & codes, the old check history and the orphaned checks, or only show them',
+};
+
+/**
+ * Format rows as a table, the columns padded to their widest value
+ *
+ * @param { string[] } columns
+ * @param { any[][] } rows
+ * @returns { string }
+ */
+const table = (columns, rows) => {
+  const cells = [columns, ...rows].map(row =>
+    row.map(cell => (cell === undefined || cell === false ? '' : String(cell)))
+  );
+  const widths = columns.map((column, index) =>
+    Math.max(...cells.map(row => row[index].length))
+  );
+  const line = row =>
+    row.map((cell, index) => cell.padEnd(widths[index])).join('  ');
+
+  return [
+    line(cells[0]),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...cells.slice(1).map(line),
+    rows.length === 0 ? '(none)' : `(${rows.length})`,
+  ].join('\n');
+};
+
+/**
+ * The --value argument of a command
+ *
+ * @param { string } str
+ * @returns { string | false }
+ */
+const argumentOf = str => {
+  const match = str.match(/--(\S+)/);
+  return match ? match[1] : false;
+};
+
+/**
+ * Read all the records of a collection, skipping the ones deleted in the meantime
+ *
+ * @param { 'tokens' | 'users' | 'checks' } dir
+ * @returns { Promise<object[]> }
+ */
+const readAll = async dir => {
+  const records = await Promise.all(
+    (await _data.list(dir)).map(id => _data.read(dir, id).catch(() => null))
+  );
+  return records.filter(Boolean);
+};
+
+const formatDate = timestamp =>
+  typeof timestamp === 'number' ? new Date(timestamp).toISOString() : '';
+
+const formatBytes = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Container for the module (to be exported)
+const cli = {
+  // Readline interface, while the console is running
+  interface: null,
+
+  // Histogram of the event loop delay, while the console is running
+  eventLoopDelay: null,
+
+  // Responders of the commands, by name
+  responders: {
+    help: async () =>
+      table(
+        ['Command', 'Description'],
+        Object.keys(commands).map(command => [command, commands[command]])
+      ),
+
+    stats: async () => {
+      const memory = process.memoryUsage();
+      const cpu = process.cpuUsage();
+      const delay = cli.eventLoopDelay;
+
+      return table(
+        ['Statistic', 'Value'],
+        [
+          ['Uptime', `${Math.round(process.uptime())} s`],
+          [
+            'Load average (1, 5, 15 min)',
+            os
+              .loadavg()
+              .map(load => load.toFixed(2))
+              .join(', '),
+          ],
+          ['CPU count', os.cpus().length],
+          [
+            'CPU time (user, system)',
+            `${cpu.user / 1e6} s, ${cpu.system / 1e6} s`,
+          ],
+          ['Resident set size', formatBytes(memory.rss)],
+          [
+            'Heap used / total',
+            `${formatBytes(memory.heapUsed)} / ${formatBytes(
+              memory.heapTotal
+            )}`,
+          ],
+          [
+            'Free system memory',
+            `${formatBytes(os.freemem())} / ${formatBytes(os.totalmem())}`,
+          ],
+          ['Event loop lag (mean)', `${(delay.mean / 1e6).toFixed(2)} ms`],
+          [
+            'Event loop lag (p99)',
+            `${(delay.percentile(99) / 1e6).toFixed(2)} ms`,
+          ],
+          ['Event loop lag (max)', `${(delay.max / 1e6).toFixed(2)} ms`],
+        ]
+      );
+    },
+
+    listUsers: async () => {
+      const users = await readAll('users');
+      return table(
+        ['Phone', 'Name', 'Role', 'Verified', 'Suspended', 'Checks'],
+        users.map(user => [
+          user.phone,
+          `${user.firstName} ${user.lastName}`,
+          auth.roleOf(user),
+          user.verified ? 'yes' : 'no',
+          user.suspended ? 'yes' : 'no',
+          (user.checks || []).length,
+        ])
+      );
+    },
+
+    moreUserInfo: async str => {
+      const phone = argumentOf(str);
+      if (!phone)
+        return 'Missing the phone number, e.g. more user info --5551234567';
+
+      try {
+        const user = await _data.read('users', phone);
+        delete user.hashedPassword;
+        return JSON.stringify(user, null, 2);
+      } catch {
+        return `No user with the phone number ${phone}`;
+      }
+    },
+
+    listChecks: async str => {
+      const up = /--up\b/.test(str);
+      const down = /--down\b/.test(str);
+
+      const checks = (await readAll('checks')).filter(
+        check => up === down || check.state === (up ? 'up' : 'down')
+      );
+      return table(
+        ['Id', 'User', 'Method', 'URL', 'State', 'Last checked'],
+        checks.map(check => [
+          check.id,
+          check.userPhone,
+          check.method.toUpperCase(),
+          `${check.protocol}://${check.url}`,
+          check.state || 'unknown',
+          formatDate(check.lastChecked),
+        ])
+      );
+    },
+
+    moreCheckInfo: async str => {
+      const id = argumentOf(str);
+      if (!id)
+        return 'Missing the id of the check, e.g. more check info --abc123';
+
+      try {
+        const check = await _data.read('checks', id);
+        if (check.basicAuth)
+          check.basicAuth = { ...check.basicAuth, password: '[REDACTED]' };
+        return JSON.stringify(check, null, 2);
+      } catch {
+        return `No check with the id ${id}`;
+      }
+    },
+
+    listLogs: async () => {
+      const files = await logs.list();
+      return table(
+        ['File', 'Check', 'Day', 'Compressed'],
+        files.map(file => [
+          file.fileName,
+          file.checkId,
+          file.day,
+          file.compressed ? 'yes' : 'no',
+        ])
+      );
+    },
+
+    moreLogInfo: async str => {
+      const fileName = argumentOf(str);
+      if (!fileName) return 'Missing the name of the file, see list logs';
+
+      const file = (await logs.list()).find(
+        ({ fileName: name }) => name === fileName
+      );
+      if (!file) return `No log file named ${fileName}`;
+
+      const entries = await logs.readFile(file.fileName);
+      return table(
+        ['Time', 'Outcome', 'Response code', 'Latency', 'Reason'],
+        entries.map(entry => [
+          formatDate(entry.timestamp),
+          entry.outcome,
+          entry.responseCode,
+          `${entry.latency} ms`,
+          entry.reason || entry.error,
+        ])
+      );
+    },
+
+    revokeTokens: async str => {
+      const phone = argumentOf(str);
+      if (!phone)
+        return 'Missing the phone number, e.g. revoke tokens --5551234567';
+
+      const count = await tokens.revokeAll(phone);
+      return `Revoked ${count} token(s) of ${phone}`;
+    },
+
+    grantAdmin: str => cli.setRole(argumentOf(str), 'admin'),
+
+    revokeAdmin: str => cli.setRole(argumentOf(str), 'user'),
+
+    runMaintenance: async str => {
+      const report = await maintenance.run({
+        dryRun: /--dry-run\b/.test(str),
+      });
+      const rows = [
+        ['Expired token', report.expiredTokens],
+        ['Expired code', report.expiredCodes],
+        ['Check history', report.checkHistory],
+        ['Orphaned check', report.orphanedChecks],
+      ].reduce(
+        (rows, [kind, names]) => [...rows, ...names.map(name => [kind, name])],
+        []
+      );
+
+      return [
+        report.dryRun ? 'Dry run, nothing was removed' : 'Removed:',
+        table(['Kind', 'Id'], rows),
+        ...report.errors.map(error => `Failed: ${error}`),
+      ].join('\n');
+    },
+  },
+
+  /**
+   * Change the role of a user, recording it in the audit trail
+   *
+   * @param { string | false } phone
+   * @param { string } role
+   * @returns { Promise<string> }
+   */
+  setRole: async (phone, role) => {
+    if (!phone)
+      return 'Missing the phone number, e.g. grant admin --5551234567';
+
+    const changed = await _data.withLock('users', phone, async () => {
+      let userData;
+      try {
+        userData = await _data.read('users', phone);
+      } catch {
+        return null;
+      }
+      if (auth.roleOf(userData) === role) return false;
+
+      await _data.update('users', phone, { ...userData, role });
+      return true;
+    });
+
+    if (changed === null) return `No user with the phone number ${phone}`;
+    if (!changed) return `${phone} already has the ${role} role`;
+
+    await audit.record({
+      actor: 'console',
+      action: 'users:setRole',
+      target: { phone },
+      details: { role },
+    });
+    return `${phone} now has the ${role} role`;
+  },
+
+  /**
+   * Run a command, resolving with what to print
+   *
+   * @param { string } str the line typed
+   * @param { () => void } onExit
+   * @returns { Promise<string> }
+   */
+  processInput: async (str, onExit) => {
+    const input = str.trim().replace(/\s+/g, ' ');
+    if (input.length === 0) return '';
+
+    const responders = {
+      help: cli.responders.help,
+      man: cli.responders.help,
+      exit: async () => {
+        onExit();
+        return 'Exiting';
+      },
+      stats: cli.responders.stats,
+      'list users': cli.responders.listUsers,
+      'more user info': cli.responders.moreUserInfo,
+      'list checks': cli.responders.listChecks,
+      'more check info': cli.responders.moreCheckInfo,
+      'list logs': cli.responders.listLogs,
+      'more log info': cli.responders.moreLogInfo,
+      'revoke tokens': cli.responders.revokeTokens,
+      'grant admin': cli.responders.grantAdmin,
+      'revoke admin': cli.responders.revokeAdmin,
+      'run maintenance': cli.responders.runMaintenance,
+    };
+
+    const command = Object.keys(responders).find(
+      name => input === name || input.startsWith(`${name} `)
+    );
+    if (!command) return `Unknown command ${input}, type help for the list`;
+
+    try {
+      return await responders[command](input);
+    } catch (error) {
+      return `The command failed: ${error.message || error}`;
+    }
+  },
+
+  /**
+   * Start the console on the terminal
+   *
+   * @param { { onExit: () => void } } options what to do on `exit`, e.g. stop the API
+   */
+  init: ({ onExit }) => {
+    cli.eventLoopDelay = monitorEventLoopDelay();
+    cli.eventLoopDelay.enable();
+
+    cli.interface = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      prompt: '> ',
+    });
+
+    cli.interface.on('line', async str => {
+      const output = await cli.processInput(str, onExit);
+      if (output) console.log(output);
+      if (cli.interface) cli.interface.prompt();
+    });
+    // Ctrl+C & Ctrl+D
+    cli.interface.on('SIGINT', onExit);
+    cli.interface.on('close', () => {
+      if (cli.interface) onExit();
+    });
+
+    console.log(
+      'The admin console is running, type help for the list of the commands'
+    );
+    cli.interface.prompt();
+  },
+
+  /**
+   * Stop the console
+   */
+  stop: () => {
+    if (cli.eventLoopDelay) cli.eventLoopDelay.disable();
+    if (!cli.interface) return;
+
+    const { interface: rl } = cli;
+    cli.interface = null;
+    rl.close();
+  },
+};
+
+// Export the module
+module.exports = cli;
@@ -0,0 +1,140 @@
+/**
+ * Library for the one-time codes sent by SMS, e.g. to verify a phone number or reset a password
+ *
+ * A user has at most one pending code per purpose. Like the tokens, the codes themselves are never stored,
+ * only their hash, and a code is removed once used, once it expires or after config.codes.maxAttempts wrong guesses
+ */
+
+// Dependencies
+const crypto = require('crypto');
+
+const config = require('./config');
+const helpers = require('./helpers');
+const _data = require('./data');
+const notifications = require('./notifications');
+
+// Messages the codes are sent with, by purpose
+const messages = {
+  verification: code =>
+    `${code} is your verification code. It expires in ${config.codes.ttl /
+      60000} minutes`,
+  passwordReset: code =>
+    `${code} is your password reset code. It expires in ${config.codes.ttl /
+      60000} minutes. If you did not ask for it, ignore this message`,
+};
+
+// Container for the module (to be exported)
+const lib = {
+  purposes: Object.keys(messages),
+
+  /**
+   * Name of the record of the pending code of a user
+   *
+   * @param { string } phone
+   * @param { 'verification' | 'passwordReset' } purpose
+   * @returns { string }
+   */
+  recordId: (phone, purpose) => `${purpose.toLowerCase()}${phone}`,
+
+  /**
+   * Generate a numeric code of config.codes.length digits
+   *
+   * @returns { string }
+   */
+  generate: () =>
+    String(crypto.randomInt(10 ** config.codes.length)).padStart(
+      config.codes.length,
+      '0'
+    ),
+
+  /**
+   * Send a new code to the phone, replacing the pending one.
+   * Nothing is sent if the previous code was sent less than config.codes.resendInterval ago
+   *
+   * @param { string } phone
+   * @param { 'verification' | 'passwordReset' } purpose
+   * @returns { Promise<{ sent: boolean, expires?: number, retryAfter?: number }> } retryAfter in seconds
+   */
+  send: (phone, purpose) =>
+    _data.withLock('codes', lib.recordId(phone, purpose), async () => {
+      const id = lib.recordId(phone, purpose);
+      const now = Date.now();
+
+      const previous = await _data.read('codes', id).catch(() => null);
+      if (previous && previous.sentAt + config.codes.resendInterval > now)
+        return {
+          sent: false,
+          retryAfter: Math.ceil(
+            (previous.sentAt + config.codes.resendInterval - now) / 1000
+          ),
+        };
+
+      const code = lib.generate();
+      const record = {
+        phone,
+        purpose,
+        hashedCode: helpers.hash(code),
+        sentAt: now,
+        expires: now + config.codes.ttl,
+        attempts: 0,
+      };
+
+      await (previous
+        ? _data.update('codes', id, record)
+        : _data.create('codes', id, record));
+
+      // A code which could not be sent must not hold back the next attempt
+      try {
+        await notifications.send({ phone, message: messages[purpose](code) });
+      } catch (error) {
+        await _data.delete('codes', id);
+        throw error;
+      }
+
+      return { sent: true, expires: record.expires };
+    }),
+
+  /**
+   * Check a code against the pending one of the user, using it up if it matches
+   *
+   * @param { string } phone
+   * @param { 'verification' | 'passwordReset' } purpose
+   * @param { string } code
+   * @returns { Promise<boolean> }
+   */
+  consume: (phone, purpose, code) =>
+    _data.withLock('codes', lib.recordId(phone, purpose), async () => {
+      const id = lib.recordId(phone, purpose);
+
+      let record;
+      try {
+        record = await _data.read('codes', id);
+      } catch {
+        return false;
+      }
+
+      if (record.expires <= Date.now()) {
+        await _data.delete('codes', id);
+        return false;
+      }
+
+      const expected = Buffer.from(record.hashedCode, 'hex');
+      const actual = Buffer.from(helpers.hash(String(code)) || '', 'hex');
+      const matches =
+        actual.length === expected.length &&
+        crypto.timingSafeEqual(actual, expected);
+
+      if (matches || record.attempts + 1 >= config.codes.maxAttempts)
+        await _data.delete('codes', id);
+      else
+        await _data.update('codes', id, {
+          ...record,
+          attempts: record.attempts + 1,
+        });
+
+      return matches;
+    }),
+};
+
+// Export the module
+module.exports = lib;
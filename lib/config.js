@@ -1,23 +1,491 @@
+/**
+ * Create and export configuration variables
+ *
+ * The configuration is made of layers, each one overriding the previous ones:
+ *  1. the defaults
+ *  2. the environment selected by NODE_ENV: staging (the default), test or production
+ *  3. the JSON file at CONFIG_FILE, or config.json at the root of the project if there is one
+ *  4. the environment variables listed in envVars, e.g. HTTP_PORT=8080
+ * The result is validated at startup: the process refuses to boot on invalid values,
+ * and in production with the default secrets
+ */
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+
+const defaults = {
+  httpPort: 3000,
+  httpsPort: 3001,
+  envName: 'staging',
+  logLevel: 'debug',
+  hashingSecret: 'devSecret',
+  passwordHashing: {
+    cost: 2 ** 14,
+    blockSize: 8,
+    parallelization: 1,
+    keyLength: 64,
+    saltLength: 16,
+  },
+  storage: {
+    driver: 'file',
+    sqlite: {
+      fileName: 'data.sqlite',
+    },
+  },
+  tls: {
+    keyPath: path.join(__dirname, '../https/key.pem'),
+    certPath: path.join(__dirname, '../https/cert.pem'),
+    // CA the client certificates of the admin routes must be signed by, none to disable mutual TLS
+    clientCaPath: '',
+    adminRoutes: [
+      'admin/users',
+      'admin/users/:phone/suspension',
+      'admin/checks',
+      'admin/checks/:id',
+      'admin/audit',
+    ],
+    minVersion: 'TLSv1.2',
+    // OpenSSL cipher list, Node's default if empty
+    ciphers: '',
+    // How often the files are checked for changes, to be reloaded
+    reloadInterval: 5 * 1000,
+    // Make the HTTP listener redirect to HTTPS instead of serving the API
+    redirectHttp: false,
+    hsts: {
+      maxAge: 180 * 24 * 60 * 60,
+      includeSubDomains: true,
+    },
+  },
+  maxChecks: 5,
+  maxBodySize: 64 * 1024,
+  shutdownTimeout: 10 * 1000,
+  rateLimits: {
+    users: {
+      post: { ip: { capacity: 20, interval: 60 * 60 * 1000 } },
+    },
+    tokens: {
+      post: {
+        ip: { capacity: 20, interval: 60 * 1000 },
+        phone: { capacity: 10, interval: 60 * 1000 },
+      },
+    },
+    'tokens/refresh': {
+      post: { ip: { capacity: 20, interval: 60 * 1000 } },
+    },
+    'users/password-reset': {
+      post: {
+        ip: { capacity: 10, interval: 60 * 60 * 1000 },
+        phone: { capacity: 5, interval: 60 * 60 * 1000 },
+      },
+      put: {
+        ip: { capacity: 20, interval: 60 * 60 * 1000 },
+        phone: { capacity: 10, interval: 60 * 60 * 1000 },
+      },
+    },
+  },
+  cors: {
+    // Origins allowed to call the API, '*' for any
+    origins: [],
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'token', 'X-Request-Id'],
+    exposedHeaders: [
+      'X-Request-Id',
+      'X-RateLimit-Limit',
+      'X-RateLimit-Remaining',
+      'X-RateLimit-Reset',
+      'Retry-After',
+    ],
+    credentials: false,
+    // How long the browsers may cache the response to a preflight request, in seconds
+    maxAge: 10 * 60,
+  },
+  rateLimitSweepInterval: 60 * 1000,
+  loginLockout: {
+    maxFailures: 5,
+    duration: 15 * 60 * 1000,
+  },
+  // One-time codes sent by SMS to verify the phone numbers and reset the passwords
+  codes: {
+    length: 6,
+    ttl: 10 * 60 * 1000,
+    maxAttempts: 5,
+    // How long before another code may be sent to the same phone
+    resendInterval: 60 * 1000,
+  },
+  tokenTtl: 60 * 60 * 1000,
+  refreshTokenTtl: 30 * 24 * 60 * 60 * 1000,
+  // Default interval of the checks, which may set their own with intervalSeconds
+  checksInterval: 60 * 1000,
+  // How often the workers look for the checks which are due
+  checksTick: 5 * 1000,
+  // Size of the response bodies read by the checks asserting on them
+  maxCheckResponseSize: 1024 * 1024,
+  // How long the bodyMatches pattern of a check may run, in its own thread, before the check is marked down
+  checkPatternTimeout: 1000,
+  alertCooldown: 15 * 60 * 1000,
+  logRotationInterval: 24 * 60 * 60 * 1000,
+  // Background purge of the expired tokens, the old check history and the orphaned checks
+  retention: {
+    interval: 60 * 60 * 1000,
+    // Days of check history kept, the current one included
+    historyDays: 30,
+    // Only report what would be removed
+    dryRun: false,
+  },
+  // Variables available to every template of the dashboard, as {global.key}
+  templateGlobals: {
+    appName: 'UptimeChecker',
+    companyName: 'NotARealCompany, Inc.',
+    yearCreated: '2018',
+    // Prefix of the links of the pages, e.g. https://example.com/ behind a proxy
+    baseUrl: '/',
+  },
+  // How long the browsers may cache the static assets, in seconds
+  staticMaxAge: 24 * 60 * 60,
+  notifications: {
+    transport: 'fake',
+    // How long the SMS gateway or the webhook may take to answer
+    timeout: 10 * 1000,
+    sms: {
+      host: 'api.twilio.com',
+      accountSid: '',
+      authToken: '',
+      fromPhone: '',
+    },
+    webhook: {
+      url: 'http://localhost:8080/alerts',
+    },
+  },
+};
+
+// What each environment changes from the defaults
 const environments = {
-  staging: {
-    httpPort: 3000,
-    httpsPort: 3001,
-    envName: 'staging',
-    hashingSecret: 'devSecret',
-    maxChecks: 5,
+  staging: {},
+  test: {
+    httpPort: 4000,
+    httpsPort: 4001,
+    envName: 'test',
+    logLevel: 'error',
+    hashingSecret: 'testSecret',
+    // Hashing as fast as possible, the tests don't need the passwords to be hard to crack
+    passwordHashing: { cost: 2 ** 10 },
+    storage: { driver: 'memory' },
   },
   production: {
     httpPort: 5000,
     httpsPort: 5001,
     envName: 'production',
+    logLevel: 'info',
     hashingSecret: 'prodSecret',
-    maxChecks: 5,
+    passwordHashing: { cost: 2 ** 15 },
+    tls: { redirectHttp: true },
+    rateLimits: {
+      users: {
+        post: { ip: { capacity: 5, interval: 60 * 60 * 1000 } },
+      },
+      tokens: {
+        post: {
+          ip: { capacity: 10, interval: 60 * 1000 },
+          phone: { capacity: 5, interval: 60 * 1000 },
+        },
+      },
+      'tokens/refresh': {
+        post: { ip: { capacity: 10, interval: 60 * 1000 } },
+      },
+      'users/password-reset': {
+        post: {
+          ip: { capacity: 5, interval: 60 * 60 * 1000 },
+          phone: { capacity: 3, interval: 60 * 60 * 1000 },
+        },
+        put: {
+          ip: { capacity: 10, interval: 60 * 60 * 1000 },
+          phone: { capacity: 5, interval: 60 * 60 * 1000 },
+        },
+      },
+    },
+    notifications: {
+      transport: 'sms',
+      webhook: { url: '' },
+    },
   },
 };
 
+// Environment variables overriding a key of the configuration, converted to the type of its default
+const envVars = {
+  HTTP_PORT: 'httpPort',
+  HTTPS_PORT: 'httpsPort',
+  LOG_LEVEL: 'logLevel',
+  HASHING_SECRET: 'hashingSecret',
+  STORAGE_DRIVER: 'storage.driver',
+  TLS_KEY_PATH: 'tls.keyPath',
+  TLS_CERT_PATH: 'tls.certPath',
+  TLS_CLIENT_CA_PATH: 'tls.clientCaPath',
+  TLS_MIN_VERSION: 'tls.minVersion',
+  TLS_CIPHERS: 'tls.ciphers',
+  REDIRECT_HTTP: 'tls.redirectHttp',
+  CORS_ORIGINS: 'cors.origins',
+  BASE_URL: 'templateGlobals.baseUrl',
+  MAX_CHECKS: 'maxChecks',
+  MAX_BODY_SIZE: 'maxBodySize',
+  RETENTION_HISTORY_DAYS: 'retention.historyDays',
+  RETENTION_DRY_RUN: 'retention.dryRun',
+  NOTIFICATIONS_TRANSPORT: 'notifications.transport',
+  TWILIO_ACCOUNT_SID: 'notifications.sms.accountSid',
+  TWILIO_AUTH_TOKEN: 'notifications.sms.authToken',
+  TWILIO_FROM_PHONE: 'notifications.sms.fromPhone',
+  WEBHOOK_URL: 'notifications.webhook.url',
+};
+
+// Keys which must be set to a value of one's own in production
+const secretKeys = ['hashingSecret'];
+
+// Keys which must be set to a value when their transport is the one of config.notifications.transport
+const transportKeys = {
+  sms: [
+    'notifications.sms.accountSid',
+    'notifications.sms.authToken',
+    'notifications.sms.fromPhone',
+  ],
+  webhook: ['notifications.webhook.url'],
+};
+
+// Values allowed beyond the type of the default, by key
+const rules = {
+  httpPort: value => Number.isInteger(value) && value > 0 && value < 65536,
+  httpsPort: value => Number.isInteger(value) && value > 0 && value < 65536,
+  logLevel: value => ['debug', 'info', 'warn', 'error'].includes(value),
+  hashingSecret: value => value.length > 0,
+  'storage.driver': value => ['file', 'memory', 'sqlite'].includes(value),
+  'notifications.transport': value =>
+    ['sms', 'webhook', 'fake'].includes(value),
+  'notifications.timeout': value => Number.isInteger(value) && value > 0,
+  maxChecks: value => Number.isInteger(value) && value > 0,
+  maxBodySize: value => Number.isInteger(value) && value > 0,
+  'retention.interval': value => Number.isInteger(value) && value > 0,
+  'retention.historyDays': value => Number.isInteger(value) && value > 0,
+  'codes.length': value => Number.isInteger(value) && value >= 4 && value <= 10,
+  'codes.ttl': value => Number.isInteger(value) && value > 0,
+  'codes.maxAttempts': value => Number.isInteger(value) && value > 0,
+  'tls.minVersion': value => ['TLSv1.2', 'TLSv1.3'].includes(value),
+};
+
+// Objects whose keys are up to the user, e.g. the routes of rateLimits: unknown keys are allowed in them
+const freeFormKeys = ['rateLimits', 'templateGlobals'];
+
+const isObject = value =>
+  typeof value === 'object' && value !== null && !(value instanceof Array);
+
+/**
+ * Deep merge of the layers of the configuration, the last one winning
+ *
+ * @param { object[] } layers
+ * @returns { object }
+ */
+const merge = (...layers) =>
+  layers.reduce(
+    (result, layer) =>
+      Object.keys(layer).reduce(
+        (merged, key) => ({
+          ...merged,
+          [key]:
+            isObject(merged[key]) && isObject(layer[key])
+              ? merge(merged[key], layer[key])
+              : layer[key],
+        }),
+        result
+      ),
+    {}
+  );
+
+/**
+ * Value of a dotted key, e.g. 'storage.driver'
+ *
+ * @param { object } object
+ * @param { string } key
+ */
+const getKey = (object, key) =>
+  key
+    .split('.')
+    .reduce(
+      (value, part) => (isObject(value) ? value[part] : undefined),
+      object
+    );
+
+/**
+ * Object with a single value at a dotted key, to be merged
+ *
+ * @param { string } key
+ * @param { any } value
+ * @returns { object }
+ */
+const setKey = (key, value) =>
+  key.split('.').reduceRight((nested, part) => ({ [part]: nested }), value);
+
+/**
+ * Read the JSON config file, if there is one
+ *
+ * @returns { { layer: object, errors: string[] } }
+ */
+const readConfigFile = () => {
+  const { CONFIG_FILE } = process.env;
+  const fileName = CONFIG_FILE
+    ? path.resolve(CONFIG_FILE)
+    : path.join(__dirname, '../config.json');
+
+  let content;
+  try {
+    content = fs.readFileSync(fileName, 'utf8');
+  } catch {
+    return {
+      layer: {},
+      errors: CONFIG_FILE ? [`CONFIG_FILE: could not read ${fileName}`] : [],
+    };
+  }
+
+  try {
+    const layer = JSON.parse(content);
+    return isObject(layer)
+      ? { layer, errors: [] }
+      : { layer: {}, errors: [`${fileName}: must contain a JSON object`] };
+  } catch (error) {
+    return { layer: {}, errors: [`${fileName}: ${error.message}`] };
+  }
+};
+
+/**
+ * Read the overrides of the environment variables, converted to the type of their default
+ *
+ * @returns { { layer: object, errors: string[] } }
+ */
+const readEnvVars = () =>
+  Object.keys(envVars)
+    .filter(name => process.env[name] !== undefined)
+    .reduce(
+      ({ layer, errors }, name) => {
+        const key = envVars[name];
+        const raw = process.env[name];
+        const type = typeof getKey(defaults, key);
+
+        let value = raw;
+        if (type === 'number') value = raw.trim() === '' ? NaN : Number(raw);
+        if (getKey(defaults, key) instanceof Array)
+          value = raw
+            .split(',')
+            .map(item => item.trim())
+            .filter(item => item.length > 0);
+        if (type === 'boolean')
+          value = { true: true, false: false }[raw.trim().toLowerCase()];
+        if (key.endsWith('Path') && raw.length > 0) value = path.resolve(raw);
+
+        if (type === 'number' && Number.isNaN(value))
+          return { layer, errors: [...errors, `${name}: must be a number`] };
+        if (type === 'boolean' && value === undefined)
+          return {
+            layer,
+            errors: [...errors, `${name}: must be true or false`],
+          };
+
+        return { layer: merge(layer, setKey(key, value)), errors };
+      },
+      { layer: {}, errors: [] }
+    );
+
+/**
+ * Check the types of the values against the ones of the defaults, the items of the arrays included,
+ * and the rules. Keys which are not in the defaults are reported, but in the freeFormKeys objects
+ *
+ * @param { object } config
+ * @param { object } reference the defaults at the same level
+ * @param { string } [prefix]
+ * @returns { string[] } errors
+ */
+const validate = (config, reference, prefix = '') =>
+  Object.keys(config).reduce((errors, key) => {
+    const fullKey = `${prefix}${key}`;
+    const value = config[key];
+    const expected = reference[key];
+
+    if (expected === undefined)
+      return freeFormKeys.some(freeFormKey =>
+        prefix.startsWith(`${freeFormKey}.`)
+      )
+        ? errors
+        : [...errors, `${fullKey}: unknown key`];
+
+    if (isObject(expected))
+      return isObject(value)
+        ? [...errors, ...validate(value, expected, `${fullKey}.`)]
+        : [...errors, `${fullKey}: must be an object`];
+
+    if (expected instanceof Array) {
+      // The arrays of the defaults which are empty are lists of strings too
+      const itemType = expected.length > 0 ? typeof expected[0] : 'string';
+      if (
+        !(value instanceof Array) ||
+        value.some(item => typeof item !== itemType)
+      )
+        return [
+          ...errors,
+          `${fullKey}: must be an array of ${itemType}s, got ${JSON.stringify(
+            value
+          )}`,
+        ];
+    } else if (typeof value !== typeof expected)
+      return [
+        ...errors,
+        `${fullKey}: must be a ${typeof expected}, got ${JSON.stringify(
+          value
+        )}`,
+      ];
+
+    if (rules[fullKey] && !rules[fullKey](value))
+      return [...errors, `${fullKey}: invalid value ${JSON.stringify(value)}`];
+
+    return errors;
+  }, []);
+
+/**
+ * Build the configuration of an environment, throwing if it is invalid
+ *
+ * @param { string } envName
+ * @returns { object }
+ */
+const load = envName => {
+  const environment = environments[envName] || environments.staging;
+  const file = readConfigFile();
+  const env = readEnvVars();
+
+  const config = merge(defaults, environment, file.layer, env.layer);
+  const errors = [...file.errors, ...env.errors, ...validate(config, defaults)];
+
+  if (config.envName === 'production')
+    secretKeys
+      .filter(key =>
+        Object.keys(environments)
+          .map(name => getKey(merge(defaults, environments[name]), key))
+          .includes(getKey(config, key))
+      )
+      .forEach(key =>
+        errors.push(`${key}: the default value can't be used in production`)
+      );
+
+  (transportKeys[config.notifications.transport] || [])
+    .filter(key => getKey(config, key) === '')
+    .forEach(key =>
+      errors.push(
+        `${key}: must be set to use the ${config.notifications.transport} transport`
+      )
+    );
+
+  if (errors.length > 0)
+    throw new Error(
+      `Invalid configuration:\n${errors.map(error => ` - ${error}`).join('\n')}`
+    );
+
+  return config;
+};
+
 const { NODE_ENV } = process.env;
 
-module.exports =
-  NODE_ENV && NODE_ENV.toLowerCase() === 'production'
-    ? environments.production
-    : environments.staging;
+module.exports = load(NODE_ENV ? NODE_ENV.toLowerCase() : 'staging');
@@ -0,0 +1,84 @@
+/**
+ * Cross-origin resource sharing, for the browsers calling the API from another origin
+ * (e.g. the dashboard), configured with config.cors
+ */
+
+// Dependencies
+const config = require('./config');
+
+// Container for the module (to be exported)
+const lib = {
+  /**
+   * Tell if an origin may call the API
+   *
+   * @param { string } [origin]
+   * @returns { boolean }
+   */
+  isAllowed: origin =>
+    typeof origin === 'string' &&
+    (config.cors.origins.includes('*') || config.cors.origins.includes(origin)),
+
+  /**
+   * Tell if a request is a preflight: an OPTIONS request a browser sends before the actual one
+   *
+   * @param { string } method
+   * @param { object } headers
+   * @returns { boolean }
+   */
+  isPreflight: (method, headers) =>
+    method === 'options' &&
+    typeof headers.origin === 'string' &&
+    typeof headers['access-control-request-method'] === 'string',
+
+  /**
+   * Headers of every response to a request from the given origin
+   *
+   * @param { string } [origin]
+   * @returns { object }
+   */
+  headers: origin => {
+    const { origins, credentials, exposedHeaders } = config.cors;
+    // The origin only matters to the response if not all of them are allowed
+    const vary =
+      origins.includes('*') && !credentials ? {} : { Vary: 'Origin' };
+    if (!lib.isAllowed(origin)) return vary;
+
+    return {
+      ...vary,
+      // Browsers refuse a wildcard along with credentials, so the origin is echoed instead
+      'Access-Control-Allow-Origin':
+        origins.includes('*') && !credentials ? '*' : origin,
+      ...(credentials && { 'Access-Control-Allow-Credentials': 'true' }),
+      ...(exposedHeaders.length > 0 && {
+        'Access-Control-Expose-Headers': exposedHeaders.join(', '),
+      }),
+    };
+  },
+
+  /**
+   * Response to a preflight request, for a path accepting the given methods
+   *
+   * @param { object } headers headers of the request
+   * @param { string[] | false } allowedMethods methods of the route matching the path, false if none does
+   * @returns { { statusCode: number, headers?: object } }
+   */
+  preflight: (headers, allowedMethods) => {
+    if (!allowedMethods) return { statusCode: 404 };
+    if (!lib.isAllowed(headers.origin)) return { statusCode: 204 };
+
+    const { methods, allowedHeaders, maxAge } = config.cors;
+    return {
+      statusCode: 204,
+      headers: {
+        'Access-Control-Allow-Methods': allowedMethods
+          .filter(method => methods.includes(method))
+          .join(', '),
+        'Access-Control-Allow-Headers': allowedHeaders.join(', '),
+        'Access-Control-Max-Age': maxAge,
+      },
+    };
+  },
+};
+
+// Export the module
+module.exports = lib;
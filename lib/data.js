@@ -1,104 +1,323 @@
 /**
  * Library for storing and editing data
+ *
+ * The records are kept by a storage driver (see lib/storage), chosen with config.storage.driver.
+ * Every driver implements the same interface: exists, create, read, update, delete, list.
+ * The check history isn't one of the records: lib/logs.js keeps it as files in the data folder, whatever the driver
  */
 
 // Dependencies
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+const config = require('./config');
 const { parseJsonStrToObject } = require('./helpers');
+const logger = require('./logger');
+
+/**
+ * Run an operation on the driver in use. Failing to create the driver (e.g. without node:sqlite)
+ * rejects like the operation itself would, rather than throwing
+ *
+ * @param { (driver: object) => Promise<T> } operation
+ * @returns { Promise<T> }
+ */
+const withDriver = operation => {
+  try {
+    return operation(lib.getDriver());
+  } catch (error) {
+    return Promise.reject(error);
+  }
+};
 
 // Container for the module (to be exported)
 const lib = {
   // Base directory of the data folder
   baseDir: path.join(__dirname, '../.data/'),
 
+  // Collections the records are stored in
+  dirs: ['users', 'tokens', 'checks', 'audit', 'codes'],
+
+  // Available drivers, each one a factory taking the options of config.storage
+  drivers: {
+    file: options => require('./storage/file')(options),
+    memory: options => require('./storage/memory')(options),
+    sqlite: ({ baseDir, sqlite }) =>
+      require('./storage/sqlite')({
+        fileName: path.join(baseDir, sqlite.fileName),
+      }),
+  },
+
+  // Driver in use, created on first use
+  driver: null,
+
   /**
-   * @param { 'tokens' | 'users' | 'checks' } dir
+   * Create a driver, by name
+   *
+   * @param { 'file' | 'memory' | 'sqlite' } name
+   */
+  createDriver: name => {
+    if (!lib.drivers[name]) throw new Error(`Unknown storage driver ${name}`);
+
+    return lib.drivers[name]({ ...config.storage, baseDir: lib.baseDir });
+  },
+
+  /**
+   * Switch to another driver, e.g. the memory one in tests
+   *
+   * @param { 'file' | 'memory' | 'sqlite' } name
+   */
+  use: name => {
+    lib.driver = lib.createDriver(name);
+    return lib.driver;
+  },
+
+  /**
+   * Get the driver in use, creating the configured one if there is none yet
    */
-  getFileName: (dir, file) => `${lib.baseDir}${dir}/${file}.json`,
+  getDriver: () => lib.driver || lib.use(config.storage.driver),
+
+  /**
+   * Release the driver in use, e.g. the database connection, if it holds anything
+   */
+  close: () => {
+    if (lib.driver && lib.driver.close) lib.driver.close();
+    lib.driver = null;
+  },
+
+  /**
+   * Tell if the records can be written: the data folder must be writable whatever the driver,
+   * since the logs of the checks are kept in it. Probes it with an actual write,
+   * creating it first since nothing else does before the first record
+   *
+   * @returns { Promise<boolean> }
+   */
+  isWritable: () => {
+    // A name of its own, so that concurrent probes don't remove each other's file
+    const probe = path.join(
+      lib.baseDir,
+      `.probe-${process.pid}.${crypto.randomBytes(6).toString('hex')}`
+    );
+
+    return fs.promises
+      .mkdir(lib.baseDir, { recursive: true })
+      .then(() => fs.promises.writeFile(probe, ''))
+      .then(() => fs.promises.unlink(probe))
+      .then(
+        () => true,
+        () => false
+      );
+  },
 
   /**
    * @param { 'tokens' | 'users' | 'checks' } dir
+   * @returns { Promise<boolean> }
    */
-  checkIfExists: (dir, file) => fs.existsSync(lib.getFileName(dir, file)),
+  exists: (dir, file) => withDriver(driver => driver.exists(dir, file)),
 
   /**
+   * Create a record, rejects if it already exists
+   *
    * @param { 'tokens' | 'users' | 'checks' } dir
    */
   create: (dir, file, data) =>
-    new Promise((resolve, reject) => {
-      // Open the file for writing
-      fs.open(lib.getFileName(dir, file), 'wx', (error, fileDescriptor) => {
-        if (error || !fileDescriptor)
-          return reject('Could not create new file, it may already exist');
-
-        // Convert data to a string
-        const stringData = JSON.stringify(data);
-
-        // Write to file and close it
-        fs.writeFile(fileDescriptor, stringData, error => {
-          if (error) return reject('Error writing to new file');
-
-          fs.close(fileDescriptor, error =>
-            error ? reject('Error closing new file') : resolve()
-          );
-        });
-      });
-    }),
+    withDriver(driver => driver.create(dir, file, data)),
 
   /**
    * @param { 'tokens' | 'users' | 'checks' } dir
+   * @returns { Promise<object> }
    */
-  read: (dir, file) =>
-    new Promise((resolve, reject) => {
-      fs.readFile(lib.getFileName(dir, file), 'utf8', (error, data) =>
-        error ? reject(error) : resolve(parseJsonStrToObject(data))
-      );
-    }),
+  read: (dir, file) => withDriver(driver => driver.read(dir, file)),
 
   /**
+   * Replace a record, rejects if it does not exist yet
+   *
    * @param { 'tokens' | 'users' | 'checks' } dir
    */
   update: (dir, file, data) =>
-    new Promise((resolve, reject) => {
-      // Open the file for writing
-      fs.open(lib.getFileName(dir, file), 'r+', (error, fileDescriptor) => {
-        if (error || !fileDescriptor)
-          return reject(
-            'Could not open the file for updating, it may not exist yet'
-          );
-
-        // Convert data to a string
-        const stringData = JSON.stringify(data);
-
-        // Truncate the file
-        fs.ftruncate(fileDescriptor, error => {
-          if (error) return reject('Error truncating file');
-
-          // Write to the file and close it
-          fs.writeFile(fileDescriptor, stringData, error => {
-            if (error) return reject('Error writing to existing file');
-
-            fs.close(fileDescriptor, error => {
-              if (error) return reject('Error closing existing file');
-
-              resolve();
-            });
-          });
-        });
-      });
-    }),
+    withDriver(driver => driver.update(dir, file, data)),
 
   /**
    * @param { 'tokens' | 'users' | 'checks' } dir
    */
-  delete: (dir, file) =>
-    new Promise((resolve, reject) => {
-      fs.unlink(lib.getFileName(dir, file), error =>
-        error ? reject('Error deleting file') : resolve()
+  delete: (dir, file) => withDriver(driver => driver.delete(dir, file)),
+
+  /**
+   * List the names of all the records of a collection
+   *
+   * @param { 'tokens' | 'users' | 'checks' } dir
+   * @returns { Promise<string[]> }
+   */
+  list: dir => withDriver(driver => driver.list(dir)),
+
+  /**
+   * Read the records of a collection, filtered, sorted and paginated.
+   * Records are sorted by the given field then by id; missing values come first.
+   * The cursor returned as `next` is to be passed back to get the following page, it is null on the last one
+   *
+   * @param { 'tokens' | 'users' | 'checks' } dir
+   * @param { object } options
+   * @param { string[] } [options.ids] records to consider, all of the collection by default
+   * @param { object } [options.filter] values the fields of the records must be equal to
+   * @param { string } [options.sortBy] field to sort by, id by default
+   * @param { 'asc' | 'desc' } [options.order]
+   * @param { number } [options.limit]
+   * @param { string } [options.cursor]
+   * @returns { Promise<{ items: object[], next: string | null }> }
+   */
+  query: async (dir, options = {}) => {
+    const {
+      filter = {},
+      sortBy = 'id',
+      order = 'asc',
+      limit = Infinity,
+      cursor,
+    } = options;
+    const ids = options.ids || (await lib.list(dir));
+
+    const sortKey = (record, id) => {
+      const value = record[sortBy];
+      return [value === undefined || value === false ? null : value, id];
+    };
+    const compareKeys = ([aValue, aId], [bValue, bId]) => {
+      let result = 0;
+      if (aValue !== bValue)
+        result =
+          aValue === null ? -1 : bValue === null ? 1 : aValue < bValue ? -1 : 1;
+      else if (aId !== bId) result = aId < bId ? -1 : 1;
+
+      return order === 'desc' ? -result : result;
+    };
+
+    let after = null;
+    if (cursor !== undefined) {
+      after = parseJsonStrToObject(
+        Buffer.from(String(cursor), 'base64url').toString('utf8')
       );
-    }),
+      if (!(after instanceof Array) || after.length !== 2)
+        throw 'Invalid cursor';
+    }
+
+    // Records deleted since they were listed are skipped
+    const records = (
+      await Promise.all(
+        ids.map(id =>
+          lib.read(dir, id).then(
+            record => ({ id, record }),
+            () => null
+          )
+        )
+      )
+    ).filter(
+      entry =>
+        entry &&
+        Object.keys(filter).every(
+          field => entry.record[field] === filter[field]
+        )
+    );
+
+    const sorted = records
+      .map(({ id, record }) => ({ key: sortKey(record, id), record }))
+      .sort((a, b) => compareKeys(a.key, b.key))
+      .filter(({ key }) => !after || compareKeys(key, after) > 0);
+
+    const page = sorted.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      items: page.map(({ record }) => record),
+      next:
+        sorted.length > page.length
+          ? Buffer.from(JSON.stringify(last.key)).toString('base64url')
+          : null,
+    };
+  },
+
+  // Tail of the queue of operations holding the lock of each record, keyed by dir/file
+  locks: new Map(),
+
+  /**
+   * Run fn once every previous holder of the lock on the record is done, so that concurrent
+   * read-modify-write sequences on the same record (within this process) don't overwrite each other
+   *
+   * @param { 'tokens' | 'users' | 'checks' } dir
+   * @param { string } file
+   * @param { () => Promise<T> } fn
+   * @returns { Promise<T> }
+   */
+  withLock: (dir, file, fn) => {
+    const key = `${dir}/${file}`;
+    const previous = lib.locks.get(key) || Promise.resolve();
+
+    const result = previous.then(() => fn());
+    // The next holder waits for this one to settle, whether it succeeded or not
+    const tail = result.catch(() => {});
+    lib.locks.set(key, tail);
+
+    // Forget about the lock once nobody is queued behind this holder
+    tail.then(() => {
+      if (lib.locks.get(key) === tail) lib.locks.delete(key);
+    });
+
+    return result;
+  },
+
+  /**
+   * Run fn holding the locks of several records of a collection, taken in the order of their names
+   * so that two holders of overlapping sets can't wait for each other
+   *
+   * @param { 'tokens' | 'users' | 'checks' } dir
+   * @param { string[] } files
+   * @param { () => Promise<T> } fn
+   * @returns { Promise<T> }
+   */
+  withLocks: (dir, files, fn) =>
+    [...new Set(files)]
+      .sort()
+      .reduceRight((next, file) => () => lib.withLock(dir, file, next), fn)(),
+
+  /**
+   * Run several writes as a whole: if fn rejects, the writes it did through the given
+   * transaction object are undone in reverse order, then the rejection is passed on
+   *
+   * @param { (transaction: { create: Function, update: Function, delete: Function }) => Promise<T> } fn
+   * @returns { Promise<T> }
+   */
+  transaction: async fn => {
+    const undos = [];
+
+    const transaction = {
+      create: async (dir, file, data) => {
+        await lib.create(dir, file, data);
+        undos.push(() => lib.delete(dir, file));
+      },
+
+      update: async (dir, file, data) => {
+        const previousData = await lib.read(dir, file);
+        await lib.update(dir, file, data);
+        undos.push(() => lib.update(dir, file, previousData));
+      },
+
+      delete: async (dir, file) => {
+        const previousData = await lib.read(dir, file);
+        await lib.delete(dir, file);
+        undos.push(() => lib.create(dir, file, previousData));
+      },
+    };
+
+    try {
+      return await fn(transaction);
+    } catch (error) {
+      for (const undo of undos.reverse())
+        try {
+          await undo();
+        } catch (undoError) {
+          logger.error('Could not roll a write back', { error: undoError });
+        }
+
+      throw error;
+    }
+  },
 };
 
 // Export the module
@@ -1,15 +1,108 @@
 const config = require('./config');
 const helpers = require('./helpers');
 const _data = require('./data');
+const audit = require('./audit');
+const auth = require('./auth');
+const codes = require('./codes');
+const logger = require('./logger');
+const logs = require('./logs');
+const rateLimit = require('./rateLimit');
+const templates = require('./templates');
+const tls = require('./tls');
+const tokens = require('./tokens');
 const validators = require('./validators');
+const workers = require('./workers');
 
+const { fields, optionalCheckFields } = validators;
+
+// Rules of the optional settings of a check
+const optionalCheckSchema = optionalCheckFields.reduce(
+  (schema, field) => ({ ...schema, [field]: fields[field] }),
+  {}
+);
+
+/**
+ * The optional settings of a check found in the values of a request
+ *
+ * @param { object } values
+ * @returns { object }
+ */
+const pickOptionalCheckFields = values =>
+  optionalCheckFields
+    .filter(field => values[field] !== undefined)
+    .reduce((settings, field) => ({ ...settings, [field]: values[field] }), {});
+
+/**
+ * A check as shown to its user: the basic auth password is never sent back
+ *
+ * @param { object } checkData
+ * @returns { object }
+ */
+const publicCheck = checkData =>
+  checkData.basicAuth
+    ? {
+        ...checkData,
+        basicAuth: { username: checkData.basicAuth.username },
+      }
+    : checkData;
+
+/**
+ * Validate the request against the schema of the resource, then run the handler of the method.
+ * A handler rejecting (e.g. the storage failing) rejects the whole, for the server to answer 500
+ *
+ * @param { string } handlerName
+ * @param { object } data
+ * @returns { Promise<object> }
+ */
 const commonHandler = (handlerName, data) =>
-  new Promise(resolve => {
+  new Promise((resolve, reject) => {
     const method = helpers.methodOrFalse(data.method);
-    if (!method) return resolve({ statusCode: 405 });
-    handlers[`_${handlerName}`][method](data, resolve);
+    const resource = handlers[`_${handlerName}`];
+    const methodHandler = method && resource[method];
+    if (!methodHandler) return resolve({ statusCode: 405 });
+
+    const run = handlerData =>
+      Promise.resolve()
+        .then(() => methodHandler(handlerData, resolve))
+        .catch(reject);
+
+    // Validate the request against the schema the resource declares for the method
+    const schema = resource.schemas && resource.schemas[method];
+    if (!schema) return run(data);
+
+    // The query string and the form bodies only carry strings
+    const { values, errors } = validators.validate(schema, requestInput(data), {
+      coerce: isQuery(data) || data.payloadFormat === 'form',
+    });
+    if (errors.length > 0) return validationError(resolve, errors);
+
+    run({ ...data, values });
   });
 
+/**
+ * Tell if the fields of the request are sent in the query string rather than in the payload
+ *
+ * @param { object } data
+ * @returns { boolean }
+ */
+const isQuery = data => ['get', 'delete'].includes(data.method);
+
+/**
+ * Fields sent with the request: the query string for get & delete, the payload otherwise,
+ * plus the params captured from the path, so that both `users/:phone` and `users?phone=...` work
+ *
+ * @param { object } data
+ * @returns { object }
+ */
+const requestInput = data => {
+  const source = isQuery(data) ? data.queryStringObject : data.payload;
+
+  return {
+    ...(typeof source === 'object' && source !== null ? source : {}),
+    ...data.params,
+  };
+};
+
 /**
  * @param { PromiseConstructor.resolve<T>(value: T | PromiseLike<T>): Promise<T> } resolve
  * @param { number } statusCode
@@ -35,9 +128,17 @@ const success = (resolve, statusCode = 200, payload) => {
 
 /**
  * @param { PromiseConstructor.resolve<T>(value: T | PromiseLike<T>): Promise<T> } resolve
+ * @param { { field: string, message: string }[] } errors
  */
-const missingRequiredFieldsError = resolve =>
-  error(resolve, 400, 'Missing required fields');
+const validationError = (resolve, errors) => {
+  resolve({
+    statusCode: 400,
+    payload: {
+      error: 'Missing or invalid fields',
+      fields: errors,
+    },
+  });
+};
 
 /**
  * @param { PromiseConstructor.resolve<T>(value: T | PromiseLike<T>): Promise<T> } resolve
@@ -45,49 +146,252 @@ const missingRequiredFieldsError = resolve =>
 const tokenError = resolve =>
   error(resolve, 403, 'Token is missing or invalid');
 
+/**
+ * Record an action of an admin in the audit trail. The action is done already,
+ * so failing to record it is only logged
+ *
+ * @param { { phone: string } } admin
+ * @param { string } action
+ * @param { object } target
+ * @param { object } [details]
+ */
+const recordAdminAction = async (admin, action, target, details) => {
+  try {
+    await audit.record({ actor: admin.phone, action, target, details });
+  } catch (recordError) {
+    logger.error('Could not record an admin action', {
+      actor: admin.phone,
+      action,
+      error: recordError,
+    });
+  }
+};
+
+// Pages of the dashboard, by template: the variables of their header
+const pages = {
+  index: {
+    'head.title': 'Uptime Monitoring - Made Simple',
+    'head.description':
+      "We offer free, simple uptime monitoring for HTTP/HTTPS sites of all kinds. When your site goes down, we'll send you a text to let you know",
+    'body.class': 'index',
+  },
+  accountCreate: {
+    'head.title': 'Create an Account',
+    'head.description': 'Signup is easy and only takes a few seconds.',
+    'body.class': 'accountCreate',
+  },
+  accountEdit: {
+    'head.title': 'Account Settings',
+    'body.class': 'accountEdit',
+  },
+  accountDeleted: {
+    'head.title': 'Account Deleted',
+    'head.description': 'Your account has been deleted.',
+    'body.class': 'accountDeleted',
+  },
+  sessionCreate: {
+    'head.title': 'Login to your Account',
+    'head.description':
+      'Please enter your phone number and password to access your account.',
+    'body.class': 'sessionCreate',
+  },
+  sessionDeleted: {
+    'head.title': 'Logged Out',
+    'head.description': 'You have been logged out of your account.',
+    'body.class': 'sessionDeleted',
+  },
+  sessionReset: {
+    'head.title': 'Reset your Password',
+    'head.description':
+      "Enter your phone number, we'll text you a code to choose a new password with.",
+    'body.class': 'sessionReset',
+  },
+  checksList: {
+    'head.title': 'Dashboard',
+    'body.class': 'checksList',
+  },
+  checksCreate: {
+    'head.title': 'Create a New Check',
+    'body.class': 'checksCreate',
+  },
+  checksEdit: {
+    'head.title': 'Check Details',
+    'body.class': 'checksEdit',
+  },
+};
+
 // Define the handlers
 const handlers = {
-  ping: () => new Promise.resolve({ statusCode: 200 }),
+  ping: () => Promise.resolve({ statusCode: 200 }),
+
+  /**
+   * Handler rendering a page of the dashboard.
+   * The pages are the same for everybody: the data is loaded by public/app.js, through the API
+   *
+   * @param { string } name template of the page, see pages
+   * @returns { () => Promise<object> }
+   */
+  page: name => async () => {
+    const headers = {
+      'Cache-Control': 'no-cache',
+      'Content-Security-Policy': tls.pageContentSecurityPolicy,
+    };
+
+    try {
+      return {
+        statusCode: 200,
+        contentType: 'html',
+        headers,
+        payload: await templates.render(name, {
+          'head.description': '',
+          ...pages[name],
+        }),
+      };
+    } catch (renderError) {
+      logger.error('Could not render a page', {
+        page: name,
+        error: renderError,
+      });
+      return { statusCode: 500, contentType: 'html', headers, payload: '' };
+    }
+  },
+
+  /**
+   * Static assets of the dashboard, cached by the browsers for config.staticMaxAge
+   * and revalidated with their ETag
+   */
+  publicAsset: async data => {
+    let asset;
+    try {
+      asset = await templates.readAsset(data.params.file);
+    } catch {
+      return { statusCode: 404 };
+    }
+
+    const headers = {
+      'Cache-Control': `public, max-age=${config.staticMaxAge}`,
+      ETag: asset.etag,
+    };
+    if (data.headers['if-none-match'] === asset.etag)
+      return { statusCode: 304, headers };
+
+    return {
+      statusCode: 200,
+      contentType: asset.contentType,
+      headers,
+      payload: asset.content,
+    };
+  },
+
+  /**
+   * Liveness: the process is up and handling requests
+   */
+  health: () =>
+    Promise.resolve({
+      statusCode: 200,
+      payload: {
+        status: 'ok',
+        env: config.envName,
+        pid: process.pid,
+        uptime: process.uptime(),
+        memory: process.memoryUsage().rss,
+      },
+    }),
+
+  /**
+   * Readiness: the records can be written and the checks are being executed.
+   * Answers 503 with the failing parts otherwise, e.g. while shutting down
+   */
+  ready: async () => {
+    const checks = {
+      storage: await _data.isWritable(),
+      workers: workers.isRunning(),
+    };
+    const ready = Object.keys(checks).every(name => checks[name]);
+
+    return {
+      statusCode: ready ? 200 : 503,
+      payload: { status: ready ? 'ready' : 'not ready', checks },
+    };
+  },
   notFound: () => Promise.resolve({ statusCode: 404 }),
   users: data => commonHandler('users', data),
   tokens: data => commonHandler('tokens', data),
   checks: data => commonHandler('checks', data),
+  checkHistory: data => commonHandler('checkHistory', data),
+  userChecks: data => commonHandler('userChecks', data),
+  userExport: data => commonHandler('userExport', data),
+  tokenRefresh: data => commonHandler('tokenRefresh', data),
+  userTokens: data => commonHandler('userTokens', data),
+  userVerification: data => commonHandler('userVerification', data),
+  passwordReset: data => commonHandler('passwordReset', data),
+  adminUsers: data => commonHandler('adminUsers', data),
+  adminUserSuspension: data => commonHandler('adminUserSuspension', data),
+  adminChecks: data => commonHandler('adminChecks', data),
+  adminAudit: data => commonHandler('adminAudit', data),
+
+  /**
+   * Handlers of a resource keyed by the methods it implements, for the router's route table
+   *
+   * @param { string } handlerName
+   * @returns { { [method: string]: (data: object) => Promise<object> } }
+   */
+  methods: handlerName =>
+    Object.keys(handlers[`_${handlerName}`])
+      .filter(helpers.methodOrFalse)
+      .reduce(
+        (methods, method) => ({
+          ...methods,
+          [method]: data => commonHandler(handlerName, { ...data, method }),
+        }),
+        {}
+      ),
 
   _users: {
+    schemas: {
+      post: validators.required({
+        firstName: fields.name,
+        lastName: fields.name,
+        phone: fields.phone,
+        password: fields.password,
+        tosAgreement: { type: 'boolean', enum: [true] },
+      }),
+      get: validators.required({ phone: fields.phone }),
+      put: {
+        phone: { ...fields.phone, required: true },
+        firstName: fields.name,
+        lastName: fields.name,
+        password: fields.password,
+      },
+      delete: validators.required({ phone: fields.phone }),
+    },
+
     // Users - post
     // Required data: firstName, lastName, phone, password, tosAgreement
     // Optional data: none
     post: async (data, resolve) => {
-      // Check that all required fields are filled out
-      const { payload } = data;
-
-      const firstName = helpers.stringOrFalse(payload.firstName);
-      const lastName = helpers.stringOrFalse(payload.lastName);
-
-      const phone = validators.phone(payload.phone)
-        ? payload.phone.trim()
-        : false;
-
-      const password = helpers.stringOrFalse(payload.password);
-
-      const tosAgreement =
-        typeof payload.tosAgreement === 'boolean' && payload.tosAgreement;
-
-      if (!firstName || !lastName || !phone || !password || !tosAgreement)
-        return missingRequiredFieldsError(resolve);
+      const {
+        firstName,
+        lastName,
+        phone,
+        password,
+        tosAgreement,
+      } = data.values;
 
       // Make sure that the user does not already exist
-      if (_data.checkIfExists('users', phone))
+      if (await _data.exists('users', phone))
         return error(
           resolve,
           400,
           'A user with this phone number already exists'
         );
 
-      const hashedPassword = helpers.hash(password);
-
-      if (!hashedPassword)
+      let hashedPassword;
+      try {
+        hashedPassword = await helpers.hashPassword(password);
+      } catch {
         return error(resolve, 500, "Could not hash the user's password");
+      }
 
       // Create the user object
       const userObject = {
@@ -96,6 +400,8 @@ const handlers = {
         phone,
         hashedPassword,
         tosAgreement,
+        role: 'user',
+        verified: false,
         checks: [],
       };
 
@@ -110,16 +416,18 @@ const handlers = {
     // Required data: phone
     // Optional data: none
     get: async (data, resolve) => {
-      const { phone } = data.queryStringObject;
-
-      // Check phone exists & valid
-      if (!validators.phone(phone)) return missingRequiredFieldsError(resolve);
+      const { phone } = data.values;
 
       // Get the token from the headers
       const { token } = data.headers;
 
       // Verify token
-      if (!(await handlers._tokens._verifyToken(token, phone)).payload)
+      if (
+        !(await auth.authorize(token, {
+          owner: phone,
+          permission: 'users:read',
+        }))
+      )
         return tokenError(resolve);
 
       // Lookup the user
@@ -135,17 +443,7 @@ const handlers = {
     // Required data: phone
     // Optional data: firstName, lastName, password (at least one must be specified)
     put: async (data, resolve) => {
-      const { payload } = data;
-
-      const phone = validators.phone(payload.phone) && payload.phone.trim();
-
-      const firstName = helpers.stringOrFalse(payload.firstName);
-      const lastName = helpers.stringOrFalse(payload.lastName);
-
-      const password = helpers.stringOrFalse(payload.password);
-
-      // Check phone exists & valid
-      if (!phone) return missingRequiredFieldsError(resolve);
+      const { phone, firstName, lastName, password } = data.values;
 
       // Check for the optional fields;
       if (!(firstName || lastName || password)) {
@@ -156,17 +454,34 @@ const handlers = {
       const { token } = data.headers;
 
       // Verify token
-      if (!(await handlers._tokens._verifyToken(token, phone)).payload)
+      if (
+        !(await auth.authorize(token, {
+          owner: phone,
+          permission: 'users:update',
+        }))
+      )
         return tokenError(resolve);
 
+      let hashedPassword;
       try {
+        if (password) hashedPassword = await helpers.hashPassword(password);
+      } catch {
+        return error(resolve, 500, "Could not hash the user's password");
+      }
+
+      await _data.withLock('users', phone, async () => {
         // Lookup the user
-        const userData = await _data.read('users', phone);
+        let userData;
+        try {
+          userData = await _data.read('users', phone);
+        } catch {
+          return error(resolve, 400, 'The specified user does not exist');
+        }
 
         // update fields
         if (firstName) userData.firstName = firstName;
         if (lastName) userData.lastName = lastName;
-        if (password) userData.hashedPassword = helpers.hash(lastName);
+        if (hashedPassword) userData.hashedPassword = hashedPassword;
 
         try {
           // save the new updates
@@ -175,77 +490,354 @@ const handlers = {
         } catch {
           error(resolve, 500, 'Could not update the user');
         }
-      } catch {
-        error(resolve, 400, 'The specified user does not exist');
-      }
+      });
     },
+    // Deletes the user along with everything they own: checks, their history and tokens
     // Required data: phone
     // Optional data: none
     delete: async (data, resolve) => {
-      const phone =
-        validators.phone(data.queryStringObject.phone) &&
-        data.queryStringObject.phone.trim();
-
-      // Check phone exists & valid
-      if (!phone) return missingRequiredFieldsError(resolve);
+      const { phone } = data.values;
 
       // Get the token from the headers
       const { token } = data.headers;
 
       // Verify token
-      if (!(await handlers._tokens._verifyToken(token, phone)).payload)
+      if (
+        !(await auth.authorize(token, {
+          owner: phone,
+          permission: 'users:delete',
+        }))
+      )
         return tokenError(resolve);
 
+      await _data.withLock('users', phone, async () => {
+        let userData;
+        try {
+          userData = await _data.read('users', phone);
+        } catch {
+          return error(resolve, 400, 'Could not find the specified user');
+        }
+
+        // Delete the checks and the user, or none of them.
+        // The locks of the checks keep the workers from writing a result back onto them meanwhile
+        try {
+          await _data.withLocks('checks', userData.checks, () =>
+            _data.transaction(async transaction => {
+              for (const checkId of userData.checks)
+                if (await _data.exists('checks', checkId))
+                  await transaction.delete('checks', checkId);
+
+              await transaction.delete('users', phone);
+            })
+          );
+        } catch {
+          return error(resolve, 500, 'Could not delete the specified user');
+        }
+
+        // The history and the tokens can't be restored, so they go only once the user is gone.
+        // What fails to be removed here is unreachable anyway
+        for (const checkId of userData.checks)
+          try {
+            await logs.remove(checkId);
+          } catch {
+            logger.error('Could not remove the history of a check', {
+              checkId,
+            });
+          }
+
+        try {
+          await tokens.revokeAll(phone);
+        } catch {
+          logger.error('Could not revoke the tokens of a user', { phone });
+        }
+
+        success(resolve);
+      });
+    },
+  },
+
+  _userExport: {
+    schemas: {
+      get: validators.required({ phone: fields.phone }),
+    },
+
+    // Everything stored about the user, in a single bundle
+    // Required data: phone
+    // Optional data: none
+    get: async (data, resolve) => {
+      const { phone } = data.values;
+
+      // Verify token
+      const { token } = data.headers;
+      if (
+        !(await auth.authorize(token, {
+          owner: phone,
+          permission: 'users:export',
+        }))
+      )
+        return tokenError(resolve);
+
+      let userData;
+      try {
+        userData = await _data.read('users', phone);
+      } catch {
+        return error(resolve, 404, 'Could not find the specified user');
+      }
+
+      try {
+        const checks = await Promise.all(
+          userData.checks.map(async checkId => ({
+            ...publicCheck(await _data.read('checks', checkId)),
+            history: await logs.read(checkId, 0, Date.now()),
+          }))
+        );
+
+        // Remove the hashed password from the user object before returning it to requester
+        const { hashedPassword, ...user } = userData;
+
+        success(resolve, 200, {
+          exportedAt: Date.now(),
+          user,
+          checks,
+        });
+      } catch {
+        error(resolve, 500, 'Could not export the data of the user');
+      }
+    },
+  },
+
+  _userVerification: {
+    schemas: {
+      post: validators.required({ phone: fields.phone }),
+      put: validators.required({ phone: fields.phone, code: fields.code }),
+    },
+
+    // Send a code to the phone of the user, to be confirmed with put
+    // Required data: phone
+    // Optional data: none
+    post: async (data, resolve) => {
+      const { phone } = data.values;
+
+      // Verify token
+      const { token } = data.headers;
+      if (
+        !(await auth.authorize(token, {
+          owner: phone,
+          permission: 'users:verify',
+        }))
+      )
+        return tokenError(resolve);
+
+      let userData;
+      try {
+        userData = await _data.read('users', phone);
+      } catch {
+        return error(resolve, 404, 'Could not find the specified user');
+      }
+      if (userData.verified)
+        return error(resolve, 400, 'The phone number is already verified');
+
+      let result;
       try {
-        await _data.read('users', phone);
+        result = await codes.send(phone, 'verification');
+      } catch (sendError) {
+        logger.error('Could not send a verification code', {
+          phone,
+          error: sendError,
+        });
+        return error(resolve, 500, 'Could not send the verification code');
+      }
+
+      if (!result.sent)
+        return resolve({
+          statusCode: 429,
+          headers: { 'Retry-After': result.retryAfter },
+          payload: { error: 'A code was sent recently, please wait' },
+        });
+
+      success(resolve, 200, { expires: result.expires });
+    },
+
+    // Mark the phone of the user as verified with the code sent by post
+    // Required data: phone, code
+    // Optional data: none
+    put: async (data, resolve) => {
+      const { phone, code } = data.values;
+
+      // Verify token
+      const { token } = data.headers;
+      if (
+        !(await auth.authorize(token, {
+          owner: phone,
+          permission: 'users:verify',
+        }))
+      )
+        return tokenError(resolve);
+
+      if (!(await codes.consume(phone, 'verification', code)))
+        return error(resolve, 400, 'The code is invalid or has expired');
+
+      await _data.withLock('users', phone, async () => {
         try {
-          await _data.delete('users', phone);
+          const userData = await _data.read('users', phone);
+          await _data.update('users', phone, {
+            ...userData,
+            verified: true,
+            verifiedAt: Date.now(),
+          });
           success(resolve);
         } catch {
-          error(resolve, 500, 'Could not delete the specified user');
+          error(resolve, 500, 'Could not verify the phone number');
         }
+      });
+    },
+  },
+
+  _passwordReset: {
+    schemas: {
+      post: validators.required({ phone: fields.phone }),
+      put: validators.required({
+        phone: fields.phone,
+        code: fields.code,
+        password: fields.password,
+      }),
+    },
+
+    // Send a password reset code to the phone.
+    // The response is the same whether the user exists or not, so that it can't be used to find them out
+    // Required data: phone
+    // Optional data: none
+    post: async (data, resolve) => {
+      const { phone } = data.values;
+
+      if (await _data.exists('users', phone))
+        try {
+          await codes.send(phone, 'passwordReset');
+        } catch (sendError) {
+          logger.error('Could not send a password reset code', {
+            phone,
+            error: sendError,
+          });
+        }
+
+      success(resolve);
+    },
+
+    // Set a new password with the code sent by post, logging the user out of all their sessions.
+    // Receiving the code proves the phone number, which is marked as verified
+    // Required data: phone, code, password
+    // Optional data: none
+    put: async (data, resolve) => {
+      const { phone, code, password } = data.values;
+
+      if (!(await codes.consume(phone, 'passwordReset', code)))
+        return error(resolve, 400, 'The code is invalid or has expired');
+
+      let hashedPassword;
+      try {
+        hashedPassword = await helpers.hashPassword(password);
       } catch {
-        error(resolve, 400, 'Could not find the specified user');
+        return error(resolve, 500, "Could not hash the user's password");
       }
+
+      await _data.withLock('users', phone, async () => {
+        let userData;
+        try {
+          userData = await _data.read('users', phone);
+        } catch {
+          return error(resolve, 400, 'Could not find the specified user');
+        }
+
+        try {
+          await _data.update('users', phone, {
+            ...userData,
+            hashedPassword,
+            verified: true,
+            verifiedAt: userData.verifiedAt || Date.now(),
+          });
+        } catch {
+          return error(resolve, 500, 'Could not reset the password');
+        }
+
+        try {
+          await tokens.revokeAll(phone);
+        } catch {
+          logger.error('Could not revoke the tokens of a user', { phone });
+        }
+        rateLimit.loginSucceeded(phone);
+
+        success(resolve);
+      });
     },
   },
 
   _tokens: {
+    schemas: {
+      post: validators.required({
+        phone: fields.phone,
+        password: fields.password,
+      }),
+      get: validators.required({ id: fields.id }),
+      put: validators.required({
+        id: fields.id,
+        extend: { type: 'boolean', enum: [true] },
+      }),
+      delete: validators.required({ id: fields.id }),
+    },
+
     // Required data: phone, password
     // Optional data: none
     post: async (data, resolve) => {
-      const { payload } = data;
+      const { phone, password } = data.values;
 
-      const phone = validators.phone(payload.phone)
-        ? payload.phone.trim()
-        : false;
-      const password = helpers.stringOrFalse(payload.password);
-
-      if (!phone || !password) return missingRequiredFieldsError(resolve);
+      // Refuse to even check the password of an account locked after too many failed logins
+      const lockedFor = rateLimit.lockedFor(phone);
+      if (lockedFor > 0)
+        return resolve({
+          statusCode: 429,
+          headers: { 'Retry-After': lockedFor },
+          payload: {
+            error: 'Too many failed logins, the account is temporarily locked',
+          },
+        });
 
       // Lookup the user who matches that phone number
       try {
         const userData = await _data.read('users', phone);
 
         // Hash the sent password & compare it to the password stored in the user object
-        const hashedPassword = helpers.hash(password);
-
-        if (hashedPassword !== userData.hashedPassword)
+        if (
+          !(await helpers.verifyPassword(password, userData.hashedPassword))
+        ) {
+          rateLimit.loginFailed(phone);
           return error(resolve, 400, 'Password did not match');
+        }
+        rateLimit.loginSucceeded(phone);
 
-        // If valid, create a new token with a random name. Set expiration date 1 hour in the future
-        const tokenId = helpers.createRandomString(20);
-        const expires = Date.now() + 60 * 60 * 1000;
-        const tokenObject = {
-          phone,
-          id: tokenId,
-          expires,
-        };
+        if (userData.suspended)
+          return error(resolve, 403, 'The account is suspended');
 
-        // Store the token
+        // Upgrade the stored hash if it was made with the legacy HMAC or outdated cost parameters.
+        // Logging in must not fail because of it, the upgrade will be tried again next time
+        if (helpers.passwordNeedsRehash(userData.hashedPassword))
+          try {
+            const hashedPassword = await helpers.hashPassword(password);
+            await _data.withLock('users', phone, async () => {
+              const latestUserData = await _data.read('users', phone);
+              await _data.update('users', phone, {
+                ...latestUserData,
+                hashedPassword,
+              });
+            });
+          } catch {
+            logger.error('Could not upgrade the password hash of a user', {
+              phone,
+            });
+          }
+
+        // If valid, issue a new pair of tokens
         try {
-          await _data.create('tokens', tokenId, tokenObject);
-          success(resolve, 200, tokenObject);
+          success(resolve, 200, await tokens.create(phone));
         } catch {
           error(resolve, 500, 'Could not create the new token');
         }
@@ -257,16 +849,12 @@ const handlers = {
     // Required data: id
     // Optional data: none
     get: async (data, resolve) => {
-      const { id } = data.queryStringObject;
-
-      // Check id exists & valid
-      if (!id) return missingRequiredFieldsError(resolve);
+      const { id } = data.values;
 
       // Lookup the token
       try {
-        const tokenData = await _data.read('tokens', id);
-        // Remove the hashed password from the user object before returning it to requester
-        success(resolve, 200, tokenData);
+        const { phone, expires } = await tokens.read(id);
+        success(resolve, 200, { phone, expires });
       } catch {
         error(resolve, 404);
       }
@@ -274,105 +862,180 @@ const handlers = {
     // Required data: id, extend
     // Optional data: none
     put: async (data, resolve) => {
-      const { id, extend } = data.payload;
-
-      if (!id || !extend) return missingRequiredFieldsError(resolve);
+      const { id } = data.values;
 
       // Lookup the token
+      let tokenData;
       try {
-        const tokenData = await _data.read('tokens', id);
-
-        // Check if token not expired
-        if (tokenData.expires <= Date.now())
-          return error(
-            resolve,
-            400,
-            'The token has already expired and can not be extended'
-          );
+        tokenData = await tokens.read(id);
+      } catch {
+        return error(resolve, 400, 'Specified token does not exist');
+      }
 
-        // Set the expiration an hour from now
-        tokenData.expires = Date.now() + 60 * 60 * 1000;
+      // Check if token not expired
+      if (tokenData.expires <= Date.now())
+        return error(
+          resolve,
+          400,
+          'The token has already expired and can not be extended'
+        );
 
-        // Store the new udpates
-        try {
-          await _data.update('tokens', id, tokenData);
-          success(resolve);
-        } catch {
-          error(resolve, 500, "Could not update the token's expiration");
-        }
+      try {
+        const expires = await tokens.extend(id);
+        success(resolve, 200, { expires });
       } catch {
-        error(resolve, 400, 'Specified token does not exist');
+        error(resolve, 500, "Could not update the token's expiration");
       }
     },
 
     // Required data: id
     // Optional data: none
     delete: async (data, resolve) => {
-      const { id } = data.queryStringObject;
+      const { id } = data.values;
 
-      // Check phone exists & valid
-      if (!id) return missingRequiredFieldsError(resolve);
+      try {
+        await tokens.read(id);
+      } catch {
+        return error(resolve, 400, 'Could not find the specified token');
+      }
 
       try {
-        await _data.read('tokens', id);
-        try {
-          await _data.delete('tokens', id);
-          success(resolve);
-        } catch {
-          error(resolve, 500, 'Could not delete the specified token');
-        }
+        await tokens.revoke(id);
+        success(resolve);
+      } catch {
+        error(resolve, 500, 'Could not delete the specified token');
+      }
+    },
+  },
+
+  _tokenRefresh: {
+    schemas: {
+      post: validators.required({ refreshToken: fields.id }),
+    },
+
+    // Required data: refreshToken
+    // Optional data: none
+    post: async (data, resolve) => {
+      const { refreshToken } = data.values;
+
+      let tokenData;
+      try {
+        tokenData = await tokens.read(refreshToken, 'refresh');
+      } catch {
+        return error(resolve, 400, 'Specified refresh token does not exist');
+      }
+
+      if (tokenData.expires <= Date.now())
+        return error(resolve, 400, 'The refresh token has already expired');
+
+      try {
+        success(resolve, 200, await tokens.refresh(refreshToken));
       } catch {
-        error(resolve, 400, 'Could not find the specified token');
+        error(resolve, 500, 'Could not refresh the token');
       }
     },
+  },
 
-    // Verify if a given token is currently valid for a given user
-    _verifyToken: (tokenId, phone) =>
-      new Promise(async resolve => {
-        // Lookup the token
-        try {
-          const tokenData = await _data.read('tokens', tokenId);
-          // Check that the token is for the given user and has not expired
-          if (tokenData.phone !== phone && tokenData.expires <= Date.now())
-            return success(resolve, 200, false);
+  _userTokens: {
+    schemas: {
+      delete: validators.required({ phone: fields.phone }),
+    },
 
-          success(resolve, 200, true);
-        } catch {
-          success(resolve, 200, false);
-        }
-      }),
+    // Log the user out of all their sessions
+    // Required data: phone
+    // Optional data: none
+    delete: async (data, resolve) => {
+      const { phone } = data.values;
+
+      // Verify token
+      const { token } = data.headers;
+      if (
+        !(await auth.authorize(token, {
+          owner: phone,
+          permission: 'tokens:revoke',
+        }))
+      )
+        return tokenError(resolve);
+
+      try {
+        const revoked = await tokens.revokeAll(phone);
+        success(resolve, 200, { revoked });
+      } catch {
+        error(resolve, 500, 'Could not revoke the tokens of the user');
+      }
+    },
   },
 
   _checks: {
+    schemas: {
+      post: {
+        ...validators.required({
+          protocol: fields.protocol,
+          url: fields.url,
+          method: fields.method,
+          successCodes: fields.successCodes,
+          timeoutSeconds: fields.timeoutSeconds,
+        }),
+        ...optionalCheckSchema,
+      },
+      get: {
+        id: fields.id,
+        // Listing, when there is no id
+        limit: { type: 'integer', min: 1, max: 100 },
+        cursor: { type: 'string' },
+        state: { type: 'string', enum: ['up', 'down'] },
+        protocol: fields.protocol,
+        method: fields.method,
+        sort: { type: 'string', enum: ['lastChecked', '-lastChecked'] },
+      },
+      put: {
+        id: { ...fields.id, required: true },
+        protocol: fields.protocol,
+        url: fields.url,
+        method: fields.method,
+        successCodes: fields.successCodes,
+        timeoutSeconds: fields.timeoutSeconds,
+        ...optionalCheckSchema,
+        unset: {
+          type: 'array',
+          items: { type: 'string', required: true, enum: optionalCheckFields },
+        },
+      },
+      delete: validators.required({ id: fields.id }),
+    },
+
     // Required data: protocol, url, method, successCodes, timeoutSeconds
-    // Optional data: none
+    // Optional data: headers, body, bodyContains, bodyMatches, maxLatencyMs, intervalSeconds, basicAuth
     post: async (data, resolve) => {
-      const { payload } = data;
-
-      const protocol = helpers.protocolOrFalse(payload.protocol);
-      const url = helpers.stringOrFalse(payload.url);
-      const method = helpers.methodOrFalse(payload.method);
-      const successCodes =
-        typeof payload.successCodes === 'object' &&
-        payload.successCodes instanceof Array &&
-        payload.successCodes.length > 0
-          ? payload.successCodes
-          : false;
-      const timeoutSeconds = helpers.timeoutSecondsOrFalse(
-        payload.timeoutSeconds
-      );
-
-      if (!(protocol && url && method && successCodes && timeoutSeconds))
-        return missingRequiredFieldsError();
+      const {
+        protocol,
+        url,
+        method,
+        successCodes,
+        timeoutSeconds,
+      } = data.values;
 
       const { token } = data.headers;
       try {
-        const tokenData = await _data.read('tokens', token);
-        const { phone: userPhone } = tokenData;
-        try {
-          const userData = await _data.read('users');
+        const { phone: userPhone } = await auth.authenticate(token);
+
+        await _data.withLock('users', userPhone, async () => {
+          let userData;
+          try {
+            userData = await _data.read('users', userPhone);
+          } catch {
+            return tokenError(resolve);
+          }
+
+          if (!userData.verified)
+            return error(
+              resolve,
+              403,
+              'The phone number must be verified before creating checks'
+            );
+
           const { checks } = userData;
-          if (checks >= config.maxChecks)
+          if (checks.length >= config.maxChecks)
             return error(
               resolve,
               400,
@@ -388,29 +1051,522 @@ const handlers = {
             method,
             successCodes,
             timeoutSeconds,
+            ...pickOptionalCheckFields(data.values),
           };
 
+          // Store the check and add it to the user, or do neither
           try {
-            await _data.create('checks', checkId, checkObject);
-            userData.checks = [...checks, checkId];
-            try {
-              await _data.update('users', userPhone, userData);
-              success(resolve, 200, checkObject);
-            } catch {
-              error(
-                resolve,
-                500,
-                'Could not update the user with the new check'
-              );
-            }
+            await _data.transaction(async transaction => {
+              await transaction.create('checks', checkId, checkObject);
+              await transaction.update('users', userPhone, {
+                ...userData,
+                checks: [...checks, checkId],
+              });
+            });
+            success(resolve, 200, publicCheck(checkObject));
           } catch {
             error(resolve, 500, 'Could not create the new check');
           }
+        });
+      } catch {
+        tokenError(resolve);
+      }
+    },
+
+    // Required data: id, unless listing the checks of the user (see _list)
+    // Optional data: none
+    get: async (data, resolve) => {
+      const { id } = data.values;
+      if (!id) return handlers._checks._list(data, resolve);
+
+      // Lookup the check
+      let checkData;
+      try {
+        checkData = await _data.read('checks', id);
+      } catch {
+        return error(resolve, 404, 'Could not find the specified check');
+      }
+
+      // Verify that the token belongs to the user who created the check, or to an admin when reading it
+      const { token } = data.headers;
+      if (
+        !(await auth.authorize(token, {
+          owner: checkData.userPhone,
+          permission: 'checks:read',
+          target: { checkId: checkData.id },
+        }))
+      )
+        return tokenError(resolve);
+
+      success(resolve, 200, publicCheck(checkData));
+    },
+
+    // List the checks of the user the token belongs to
+    // Required data: none
+    // Optional data: limit, cursor, state, protocol, method, sort (lastChecked or -lastChecked)
+    _list: async (data, resolve) => {
+      const { limit = 20, cursor, state, protocol, method, sort } = data.values;
+
+      let userData;
+      try {
+        const { phone } = await auth.authenticate(data.headers.token);
+        userData = await _data.read('users', phone);
+      } catch {
+        return tokenError(resolve);
+      }
+
+      const filter = {};
+      if (state) filter.state = state;
+      if (protocol) filter.protocol = protocol;
+      if (method) filter.method = method;
+
+      try {
+        const page = await _data.query('checks', {
+          ids: userData.checks,
+          filter,
+          sortBy: sort ? 'lastChecked' : 'id',
+          order: sort === '-lastChecked' ? 'desc' : 'asc',
+          limit,
+          cursor,
+        });
+        success(resolve, 200, { ...page, items: page.items.map(publicCheck) });
+      } catch (queryError) {
+        queryError === 'Invalid cursor'
+          ? error(resolve, 400, 'Invalid cursor')
+          : error(resolve, 500, 'Could not list the checks');
+      }
+    },
+
+    // Required data: id
+    // Optional data: protocol, url, method, successCodes, timeoutSeconds, the optional settings of post,
+    // unset (names of optional settings to remove); at least one must be specified
+    put: async (data, resolve) => {
+      const {
+        id,
+        protocol,
+        url,
+        method,
+        successCodes,
+        timeoutSeconds,
+        unset = [],
+      } = data.values;
+      const settings = pickOptionalCheckFields(data.values);
+
+      // Check for the optional fields
+      if (
+        !(protocol || url || method || successCodes || timeoutSeconds) &&
+        Object.keys(settings).length === 0 &&
+        unset.length === 0
+      )
+        return error(resolve, 400, 'Missing fields to update');
+
+      if (unset.some(field => settings[field] !== undefined))
+        return error(resolve, 400, 'A field can not be both set and unset');
+
+      // Lookup the check
+      let checkData;
+      try {
+        checkData = await _data.read('checks', id);
+      } catch {
+        return error(resolve, 400, 'Check ID did not exist');
+      }
+
+      // Verify that the token belongs to the user who created the check
+      const { token } = data.headers;
+      if (
+        !(await auth.authorize(token, {
+          owner: checkData.userPhone,
+          permission: 'checks:update',
+          target: { checkId: checkData.id },
+        }))
+      )
+        return tokenError(resolve);
+
+      // Edit the latest version of the check, so that the state written by a worker in the meantime is kept
+      await _data.withLock('checks', id, async () => {
+        let latestCheckData;
+        try {
+          latestCheckData = await _data.read('checks', id);
         } catch {
-          tokenError(resolve);
+          return error(resolve, 400, 'Check ID did not exist');
         }
+
+        // Update fields
+        if (protocol) latestCheckData.protocol = protocol;
+        if (url) latestCheckData.url = url;
+        if (method) latestCheckData.method = method;
+        if (successCodes) latestCheckData.successCodes = successCodes;
+        if (timeoutSeconds) latestCheckData.timeoutSeconds = timeoutSeconds;
+        Object.assign(latestCheckData, settings);
+        unset.forEach(field => delete latestCheckData[field]);
+
+        try {
+          await _data.update('checks', id, latestCheckData);
+          success(resolve);
+        } catch {
+          error(resolve, 500, 'Could not update the check');
+        }
+      });
+    },
+
+    // Required data: id
+    // Optional data: none
+    delete: async (data, resolve) => {
+      const { id } = data.values;
+
+      // Lookup the check
+      let checkData;
+      try {
+        checkData = await _data.read('checks', id);
       } catch {
-        tokenError(resolve);
+        return error(resolve, 400, 'Could not find the specified check');
+      }
+
+      // Verify that the token belongs to the user who created the check
+      const { token } = data.headers;
+      if (
+        !(await auth.authorize(token, {
+          owner: checkData.userPhone,
+          permission: 'checks:delete',
+          target: { checkId: checkData.id },
+        }))
+      )
+        return tokenError(resolve);
+
+      const { userPhone } = checkData;
+
+      // Delete the check and remove it from the user's list of checks, or do neither.
+      // The lock of the check keeps the workers from writing a result back onto it meanwhile
+      await _data.withLock('users', userPhone, async () => {
+        try {
+          await _data.withLock('checks', id, () =>
+            _data.transaction(async transaction => {
+              await transaction.delete('checks', id);
+
+              // Nothing to remove the check from if its user is already gone
+              if (!(await _data.exists('users', userPhone))) return;
+
+              const userData = await _data.read('users', userPhone);
+              await transaction.update('users', userPhone, {
+                ...userData,
+                checks: userData.checks.filter(checkId => checkId !== id),
+              });
+            })
+          );
+          success(resolve);
+        } catch {
+          error(resolve, 500, 'Could not delete the specified check');
+        }
+      });
+    },
+  },
+
+  _checkHistory: {
+    schemas: {
+      get: {
+        id: { ...fields.id, required: true },
+        from: { type: 'string' },
+        to: { type: 'string' },
+      },
+    },
+
+    // Required data: id
+    // Optional data: from, to (timestamps in milliseconds or date strings, default to the last 24 hours)
+    get: async (data, resolve) => {
+      const { id, from: fromStr, to: toStr } = data.values;
+
+      const to =
+        toStr === undefined ? Date.now() : helpers.timestampOrFalse(toStr);
+      const from =
+        fromStr === undefined
+          ? to - 24 * 60 * 60 * 1000
+          : helpers.timestampOrFalse(fromStr);
+
+      if (!from || !to || from > to)
+        return error(resolve, 400, 'Invalid time window');
+
+      // Lookup the check
+      let checkData;
+      try {
+        checkData = await _data.read('checks', id);
+      } catch {
+        return error(resolve, 404, 'Could not find the specified check');
+      }
+
+      // Verify that the token belongs to the user who created the check, or to an admin when reading it
+      const { token } = data.headers;
+      if (
+        !(await auth.authorize(token, {
+          owner: checkData.userPhone,
+          permission: 'checks:read',
+          target: { checkId: checkData.id },
+        }))
+      )
+        return tokenError(resolve);
+
+      try {
+        const entries = await logs.read(id, from, to);
+        success(resolve, 200, {
+          id,
+          from,
+          to,
+          ...logs.summarize(entries),
+          entries,
+        });
+      } catch {
+        error(resolve, 500, 'Could not read the history of the check');
+      }
+    },
+  },
+
+  _userChecks: {
+    schemas: {
+      get: validators.required({ phone: fields.phone }),
+    },
+
+    // Required data: phone
+    // Optional data: none
+    get: async (data, resolve) => {
+      const { phone } = data.values;
+
+      // Verify token
+      const { token } = data.headers;
+      if (
+        !(await auth.authorize(token, {
+          owner: phone,
+          permission: 'checks:list',
+        }))
+      )
+        return tokenError(resolve);
+
+      let userData;
+      try {
+        userData = await _data.read('users', phone);
+      } catch {
+        return error(resolve, 404, 'Could not find the specified user');
+      }
+
+      try {
+        const checks = await Promise.all(
+          userData.checks.map(checkId => _data.read('checks', checkId))
+        );
+        success(resolve, 200, checks.map(publicCheck));
+      } catch {
+        error(resolve, 500, 'Could not read the checks of the user');
+      }
+    },
+  },
+
+  _adminUsers: {
+    schemas: {
+      get: {
+        limit: { type: 'integer', min: 1, max: 100 },
+        cursor: { type: 'string' },
+      },
+    },
+
+    // List all the users, for the admins
+    // Required data: none
+    // Optional data: limit, cursor
+    get: async (data, resolve) => {
+      const { limit = 20, cursor } = data.values;
+
+      const { token } = data.headers;
+      if (!(await auth.authorize(token, { permission: 'users:list' })))
+        return tokenError(resolve);
+
+      try {
+        const page = await _data.query('users', { limit, cursor });
+        success(resolve, 200, {
+          ...page,
+          items: page.items.map(({ hashedPassword, ...user }) => ({
+            ...user,
+            role: auth.roleOf(user),
+          })),
+        });
+      } catch (queryError) {
+        queryError === 'Invalid cursor'
+          ? error(resolve, 400, 'Invalid cursor')
+          : error(resolve, 500, 'Could not list the users');
+      }
+    },
+  },
+
+  _adminUserSuspension: {
+    schemas: {
+      put: {
+        phone: { ...fields.phone, required: true },
+        reason: { type: 'string', maxLength: 500 },
+      },
+      delete: validators.required({ phone: fields.phone }),
+    },
+
+    // Suspend a user: they are logged out and can't log in anymore
+    // Required data: phone
+    // Optional data: reason
+    put: async (data, resolve) => {
+      const { phone, reason } = data.values;
+
+      // The action is recorded once done, with its details
+      const admin = await auth.authorize(data.headers.token, {
+        permission: 'users:suspend',
+        audit: false,
+      });
+      if (!admin) return tokenError(resolve);
+      if (admin.phone === phone)
+        return error(resolve, 400, 'Admins can not suspend themselves');
+
+      await _data.withLock('users', phone, async () => {
+        let userData;
+        try {
+          userData = await _data.read('users', phone);
+        } catch {
+          return error(resolve, 400, 'Could not find the specified user');
+        }
+
+        try {
+          await _data.update('users', phone, {
+            ...userData,
+            suspended: true,
+            suspendedAt: Date.now(),
+            suspendedBy: admin.phone,
+            ...(reason && { suspensionReason: reason }),
+          });
+        } catch {
+          return error(resolve, 500, 'Could not suspend the user');
+        }
+
+        try {
+          await tokens.revokeAll(phone);
+        } catch {
+          logger.error('Could not revoke the tokens of a user', { phone });
+        }
+
+        await recordAdminAction(admin, 'users:suspend', { phone }, { reason });
+        success(resolve);
+      });
+    },
+
+    // Lift the suspension of a user
+    // Required data: phone
+    // Optional data: none
+    delete: async (data, resolve) => {
+      const { phone } = data.values;
+
+      const admin = await auth.authorize(data.headers.token, {
+        permission: 'users:suspend',
+        audit: false,
+      });
+      if (!admin) return tokenError(resolve);
+
+      await _data.withLock('users', phone, async () => {
+        let userData;
+        try {
+          userData = await _data.read('users', phone);
+        } catch {
+          return error(resolve, 400, 'Could not find the specified user');
+        }
+
+        const {
+          suspended,
+          suspendedAt,
+          suspendedBy,
+          suspensionReason,
+          ...user
+        } = userData;
+        try {
+          await _data.update('users', phone, user);
+        } catch {
+          return error(resolve, 500, 'Could not unsuspend the user');
+        }
+
+        await recordAdminAction(admin, 'users:unsuspend', { phone });
+        success(resolve);
+      });
+    },
+  },
+
+  _adminChecks: {
+    schemas: {
+      get: {
+        id: fields.id,
+        // Listing, when there is no id
+        limit: { type: 'integer', min: 1, max: 100 },
+        cursor: { type: 'string' },
+        userPhone: fields.phone,
+        state: { type: 'string', enum: ['up', 'down'] },
+      },
+    },
+
+    // Any check by id, or all the checks, for the admins
+    // Required data: none
+    // Optional data: id, or limit, cursor, userPhone, state to list the checks
+    get: async (data, resolve) => {
+      const { id, limit = 20, cursor, userPhone, state } = data.values;
+      const { token } = data.headers;
+
+      if (id) {
+        if (
+          !(await auth.authorize(token, {
+            permission: 'checks:read',
+            target: { checkId: id },
+          }))
+        )
+          return tokenError(resolve);
+
+        try {
+          return success(
+            resolve,
+            200,
+            publicCheck(await _data.read('checks', id))
+          );
+        } catch {
+          return error(resolve, 404, 'Could not find the specified check');
+        }
+      }
+
+      if (!(await auth.authorize(token, { permission: 'checks:list' })))
+        return tokenError(resolve);
+
+      const filter = {};
+      if (userPhone) filter.userPhone = userPhone;
+      if (state) filter.state = state;
+
+      try {
+        const page = await _data.query('checks', { filter, limit, cursor });
+        success(resolve, 200, { ...page, items: page.items.map(publicCheck) });
+      } catch (queryError) {
+        queryError === 'Invalid cursor'
+          ? error(resolve, 400, 'Invalid cursor')
+          : error(resolve, 500, 'Could not list the checks');
+      }
+    },
+  },
+
+  _adminAudit: {
+    schemas: {
+      get: {
+        limit: { type: 'integer', min: 1, max: 100 },
+        cursor: { type: 'string' },
+        actor: { type: 'string', maxLength: 20 },
+        action: { type: 'string', maxLength: 50 },
+      },
+    },
+
+    // The audit trail of the admin actions, newest first
+    // Required data: none
+    // Optional data: limit, cursor, actor, action
+    get: async (data, resolve) => {
+      const { token } = data.headers;
+      if (!(await auth.authorize(token, { permission: 'audit:read' })))
+        return tokenError(resolve);
+
+      try {
+        success(resolve, 200, await audit.list(data.values));
+      } catch (queryError) {
+        queryError === 'Invalid cursor'
+          ? error(resolve, 400, 'Invalid cursor')
+          : error(resolve, 500, 'Could not read the audit trail');
       }
     },
   },
@@ -1,7 +1,46 @@
 const crypto = require('crypto');
+const querystring = require('querystring');
 
 const config = require('./config');
 
+/**
+ * Promisified crypto.scrypt
+ *
+ * @param { string } password
+ * @param { Buffer } salt
+ * @param { { cost: number, blockSize: number, parallelization: number, keyLength: number } } params
+ * @returns { Promise<Buffer> }
+ */
+const deriveKey = (password, salt, params) =>
+  new Promise((resolve, reject) => {
+    const { cost, blockSize, parallelization, keyLength } = params;
+
+    crypto.scrypt(
+      password,
+      salt,
+      keyLength,
+      {
+        cost,
+        blockSize,
+        parallelization,
+        // Leave some room above the memory the parameters need (128 * cost * blockSize bytes)
+        maxmem: 256 * cost * blockSize,
+      },
+      (error, key) =>
+        error ? reject('Could not derive the key') : resolve(key)
+    );
+  });
+
+/**
+ * Compare two buffers in constant time, which crypto.timingSafeEqual only does for buffers of the same length
+ *
+ * @param { Buffer } a
+ * @param { Buffer } b
+ * @returns { boolean }
+ */
+const safeEqual = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(a, b);
+
 const helpers = {
   /**
    * If given param is string and it is not empty - return trimmed value
@@ -11,18 +50,22 @@ const helpers = {
   stringOrFalse: str =>
     typeof str === 'string' && str.trim().length > 0 ? str.trim() : false,
 
-  protocolOrFalse: str => (['https', 'http'].includes(str) ? str : false),
-
   methodOrFalse: str =>
     ['post', 'get', 'delete', 'put'].includes(str) ? str : false,
 
-  timeoutSecondsOrFalse: int =>
-    typeof int === 'number' &&
-    int % 1 === 0 &&
-    int >= 1 &&
-    int <= config.maxChecks
-      ? int
-      : false,
+  /**
+   * If given param is a timestamp in milliseconds or a date string - return the timestamp
+   * Otherwise return false
+   *
+   * @param { string | number } value
+   * @returns { number | false }
+   */
+  timestampOrFalse: value => {
+    const timestamp = /^\d+$/.test(String(value).trim())
+      ? Number(value)
+      : Date.parse(value);
+    return Number.isFinite(timestamp) && timestamp > 0 ? timestamp : false;
+  },
 
   /**
    * Returns SHA256 hash of given string
@@ -37,6 +80,135 @@ const helpers = {
       .update(str)
       .digest('hex'),
 
+  /**
+   * Derive a key from the password with scrypt and a random salt,
+   * using the cost parameters of config.passwordHashing.
+   * The result holds everything needed to verify it: scrypt$cost$blockSize$parallelization$salt$key
+   *
+   * @param { string } password
+   * @returns { Promise<string> }
+   */
+  hashPassword: password =>
+    new Promise((resolve, reject) => {
+      const {
+        cost,
+        blockSize,
+        parallelization,
+        keyLength,
+        saltLength,
+      } = config.passwordHashing;
+
+      crypto.randomBytes(saltLength, (error, salt) => {
+        if (error) return reject('Could not generate a salt');
+
+        deriveKey(password, salt, {
+          cost,
+          blockSize,
+          parallelization,
+          keyLength,
+        })
+          .then(key =>
+            resolve(
+              [
+                'scrypt',
+                cost,
+                blockSize,
+                parallelization,
+                salt.toString('hex'),
+                key.toString('hex'),
+              ].join('$')
+            )
+          )
+          .catch(reject);
+      });
+    }),
+
+  /**
+   * Check a password against a value produced by helpers.hashPassword,
+   * or by helpers.hash for the passwords stored before the salts were introduced.
+   * The comparison takes the same time wherever the values differ
+   *
+   * @param { string } password
+   * @param { string } hashedPassword
+   * @returns { Promise<boolean> }
+   */
+  verifyPassword: async (password, hashedPassword) => {
+    if (typeof hashedPassword !== 'string') return false;
+
+    const parts = hashedPassword.split('$');
+
+    // Legacy HMAC hash
+    if (parts.length === 1)
+      return safeEqual(
+        Buffer.from(helpers.hash(password) || ''),
+        Buffer.from(hashedPassword)
+      );
+
+    const [algorithm, cost, blockSize, parallelization, salt, key] = parts;
+    if (algorithm !== 'scrypt' || !salt || !key) return false;
+
+    const expected = Buffer.from(key, 'hex');
+    const actual = await deriveKey(password, Buffer.from(salt, 'hex'), {
+      cost: Number(cost),
+      blockSize: Number(blockSize),
+      parallelization: Number(parallelization),
+      keyLength: expected.length,
+    });
+
+    return safeEqual(actual, expected);
+  },
+
+  /**
+   * Tell if a stored password was hashed differently from what helpers.hashPassword would do now,
+   * either with the legacy HMAC or with other cost parameters
+   *
+   * @param { string } hashedPassword
+   * @returns { boolean }
+   */
+  passwordNeedsRehash: hashedPassword => {
+    const { cost, blockSize, parallelization } = config.passwordHashing;
+    const [algorithm, ...params] = String(hashedPassword).split('$');
+
+    return (
+      algorithm !== 'scrypt' ||
+      params.slice(0, 3).join('$') !==
+        [cost, blockSize, parallelization].join('$')
+    );
+  },
+
+  /**
+   * Parse the body of a request according to its Content-Type: JSON (the default) or a form.
+   * Returns the payload and its format, or the status code and the message to reject the request with
+   *
+   * @param { string } body
+   * @param { string } [contentType]
+   * @returns { { payload: object, format: 'json' | 'form' } | { statusCode: number, error: string } }
+   */
+  parseBody: (body, contentType = 'application/json') => {
+    // Requests without a body, e.g. the get ones, need no Content-Type
+    if (body.trim().length === 0) return { payload: {}, format: 'json' };
+
+    const mediaType = contentType
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+
+    if (mediaType === 'application/x-www-form-urlencoded')
+      return { payload: { ...querystring.parse(body) }, format: 'form' };
+
+    if (mediaType !== 'application/json' && !mediaType.endsWith('+json'))
+      return {
+        statusCode: 415,
+        error: `Unsupported Content-Type ${mediaType}, use application/json or application/x-www-form-urlencoded`,
+      };
+
+    try {
+      return { payload: JSON.parse(body), format: 'json' };
+    } catch {
+      return { statusCode: 400, error: 'Invalid JSON' };
+    }
+  },
+
   /**
    * Parse a JSON string to an object in all cases, without throwing
    *
@@ -52,18 +224,17 @@ const helpers = {
   },
 
   /**
-   * Create a string of random alphanumeric characters of a given length
+   * Create a string of random alphanumeric characters of a given length,
+   * picked with a cryptographically secure generator
    * @param { number } length
    */
   createRandomString: length => {
     if (typeof length !== 'number' || length <= 0) return false;
-    const allowedChars = 'abcdefghijklmnopuvwxyz0123456789';
+    const allowedChars = 'abcdefghijklmnopqrstuvwxyz0123456789';
 
     let str = '';
-    for (i = 0; i < length; i++)
-      str += allowedChars.charAt(
-        Math.floor(Math.random() * allowedChars.length)
-      );
+    for (let i = 0; i < length; i++)
+      str += allowedChars.charAt(crypto.randomInt(allowedChars.length));
 
     return str;
   },
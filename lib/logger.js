@@ -0,0 +1,137 @@
+/**
+ * Structured logging
+ *
+ * Entries are written to stdout as JSON lines, once their level reaches config.logLevel.
+ * Debug output is human-readable and goes to stderr, only for the modules listed in the
+ * API_DEBUG environment variable (comma separated, `*` for all), e.g. API_DEBUG=workers,http
+ */
+
+// Dependencies
+const util = require('util');
+
+const config = require('./config');
+
+const levels = ['debug', 'info', 'warn', 'error'];
+
+// Fields which must never end up in the logs
+const redactedFields = [
+  'password',
+  'hashedPassword',
+  'token',
+  'refreshToken',
+  'authToken',
+  // Secrets of the tokens (e.g. DELETE /tokens/:id) and the one-time codes
+  'id',
+  'code',
+];
+
+// ANSI colors the debug output of the modules is told apart with
+const colors = [31, 32, 33, 34, 35, 36];
+
+/**
+ * Pick a color for a module, always the same one for a given name
+ *
+ * @param { string } name
+ * @returns { number }
+ */
+const colorOf = name =>
+  colors[
+    [...name].reduce((sum, char) => sum + char.charCodeAt(0), 0) % colors.length
+  ];
+
+// Modules the debug output is enabled for
+const debugModules = (process.env.API_DEBUG || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(name => name.length > 0);
+
+/**
+ * Create a logger adding the given fields to all of its entries
+ *
+ * @param { object } fields
+ */
+const createLogger = fields => {
+  const log = (level, msg, entryFields = {}) => {
+    if (levels.indexOf(level) < levels.indexOf(config.logLevel)) return;
+
+    const entry = logger.redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...fields,
+      ...entryFields,
+    });
+
+    // Errors don't serialize to JSON by themselves
+    Object.keys(entry).forEach(key => {
+      if (entry[key] instanceof Error) entry[key] = entry[key].message;
+    });
+
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  const logger = {
+    debug: (msg, entryFields) => log('debug', msg, entryFields),
+    info: (msg, entryFields) => log('info', msg, entryFields),
+    warn: (msg, entryFields) => log('warn', msg, entryFields),
+    error: (msg, entryFields) => log('error', msg, entryFields),
+
+    /**
+     * Create a logger adding more fields to the entries of this one, e.g. the id of a request
+     *
+     * @param { object } childFields
+     */
+    child: childFields => createLogger({ ...fields, ...childFields }),
+
+    /**
+     * Deep copy of a value, with the sensitive fields masked
+     *
+     * @param { any } value
+     * @returns { any }
+     */
+    redact: value => {
+      if (value instanceof Array) return value.map(logger.redact);
+      if (typeof value !== 'object' || value === null || value instanceof Error)
+        return value;
+
+      return Object.keys(value).reduce(
+        (result, key) => ({
+          ...result,
+          [key]: redactedFields.includes(key)
+            ? '[REDACTED]'
+            : logger.redact(value[key]),
+        }),
+        {}
+      );
+    },
+
+    /**
+     * Create a debug function for a module: a no-op unless the module is enabled in API_DEBUG.
+     * Its arguments are redacted then formatted like console.log's
+     *
+     * @param { string } name
+     * @returns { (...args: any[]) => void }
+     */
+    debuglog: name => {
+      const enabled =
+        debugModules.includes('*') || debugModules.includes(name.toLowerCase());
+      if (!enabled) return () => {};
+
+      const prefix = process.stderr.isTTY
+        ? `\x1b[${colorOf(name)};1m${name.toUpperCase()}\x1b[0m`
+        : name.toUpperCase();
+
+      return (...args) =>
+        process.stderr.write(
+          `${prefix} ${process.pid}: ${util.format(
+            ...args.map(logger.redact)
+          )}\n`
+        );
+    },
+  };
+
+  return logger;
+};
+
+// Export the module
+module.exports = createLogger({});
@@ -0,0 +1,213 @@
+/**
+ * Library for storing and rotating the check history logs
+ *
+ * The logs are files in .data/logs whatever config.storage.driver is, they don't go through the drivers of lib/data.js
+ */
+
+// Dependencies
+const fs = require('fs');
+const zlib = require('zlib');
+
+const _data = require('./data');
+const { parseJsonStrToObject } = require('./helpers');
+
+/**
+ * UTC day of a timestamp, as used in the log file names
+ *
+ * @param { number } timestamp
+ * @returns { string } e.g. 2020-01-31
+ */
+const dayOf = timestamp => new Date(timestamp).toISOString().slice(0, 10);
+
+// Log file names look like <checkId>_<day>.log, or <checkId>_<day>.log.gz once rotated
+const fileNamePattern = /^(.+)_(\d{4}-\d{2}-\d{2})\.log(\.gz)?$/;
+
+// Container for the module (to be exported)
+const lib = {
+  // Base directory of the logs, inside the data folder
+  baseDir: () => `${_data.baseDir}logs/`,
+
+  /**
+   * Append an entry to the current log of the given check, creating it if needed
+   *
+   * @param { string } checkId
+   * @param { object } entry must have a numeric timestamp
+   */
+  append: (checkId, entry) =>
+    new Promise((resolve, reject) => {
+      fs.mkdir(lib.baseDir(), { recursive: true }, error => {
+        if (error) return reject('Could not create the logs directory');
+
+        const fileName = `${lib.baseDir()}${checkId}_${dayOf(
+          entry.timestamp
+        )}.log`;
+
+        fs.appendFile(fileName, `${JSON.stringify(entry)}\n`, error =>
+          error ? reject('Error appending to the log file') : resolve()
+        );
+      });
+    }),
+
+  /**
+   * List the log files, optionally only the ones of the given check
+   *
+   * @param { string } [checkId]
+   * @returns { Promise<{ fileName: string, checkId: string, day: string, compressed: boolean }[]> }
+   */
+  list: checkId =>
+    new Promise((resolve, reject) => {
+      fs.readdir(lib.baseDir(), (error, fileNames) => {
+        // No logs have been written yet
+        if (error && error.code === 'ENOENT') return resolve([]);
+        if (error) return reject('Error listing the logs directory');
+
+        resolve(
+          fileNames
+            .map(fileName => fileName.match(fileNamePattern))
+            .filter(match => match && (!checkId || match[1] === checkId))
+            .map(([fileName, checkId, day, compressed]) => ({
+              fileName,
+              checkId,
+              day,
+              compressed: Boolean(compressed),
+            }))
+        );
+      });
+    }),
+
+  /**
+   * Read all the entries of a log file, compressed or not
+   *
+   * @param { string } fileName
+   * @returns { Promise<object[]> }
+   */
+  readFile: fileName =>
+    new Promise((resolve, reject) => {
+      fs.readFile(`${lib.baseDir()}${fileName}`, (error, buffer) => {
+        if (error) return reject('Error reading the log file');
+
+        const parse = str =>
+          resolve(
+            str
+              .split('\n')
+              .filter(line => line.length > 0)
+              .map(parseJsonStrToObject)
+          );
+
+        if (!fileName.endsWith('.gz')) return parse(buffer.toString('utf8'));
+
+        zlib.gunzip(buffer, (error, inflated) =>
+          error
+            ? reject('Error decompressing the log file')
+            : parse(inflated.toString('utf8'))
+        );
+      });
+    }),
+
+  /**
+   * Get the entries of a check that happened within the given window, oldest first
+   *
+   * @param { string } checkId
+   * @param { number } from timestamp, inclusive
+   * @param { number } to timestamp, inclusive
+   * @returns { Promise<object[]> }
+   */
+  read: async (checkId, from, to) => {
+    const [fromDay, toDay] = [dayOf(from), dayOf(to)];
+
+    const files = (await lib.list(checkId)).filter(
+      ({ day }) => day >= fromDay && day <= toDay
+    );
+
+    const entries = await Promise.all(
+      files.map(({ fileName }) => lib.readFile(fileName))
+    );
+
+    return []
+      .concat(...entries)
+      .filter(({ timestamp }) => timestamp >= from && timestamp <= to)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  },
+
+  /**
+   * Remove all the log files of a check
+   *
+   * @param { string } checkId
+   */
+  remove: async checkId => {
+    const files = await lib.list(checkId);
+
+    for (const { fileName } of files)
+      await new Promise((resolve, reject) => {
+        fs.unlink(`${lib.baseDir()}${fileName}`, error =>
+          error ? reject('Error removing the log file') : resolve()
+        );
+      });
+  },
+
+  /**
+   * Compress a log file and remove the original
+   *
+   * @param { string } fileName
+   */
+  compress: fileName =>
+    new Promise((resolve, reject) => {
+      const source = `${lib.baseDir()}${fileName}`;
+
+      fs.readFile(source, (error, buffer) => {
+        if (error) return reject('Error reading the log file');
+
+        zlib.gzip(buffer, (error, compressed) => {
+          if (error) return reject('Error compressing the log file');
+
+          fs.writeFile(`${source}.gz`, compressed, error => {
+            if (error) return reject('Error writing the compressed log file');
+
+            fs.unlink(source, error =>
+              error ? reject('Error removing the log file') : resolve()
+            );
+          });
+        });
+      });
+    }),
+
+  /**
+   * Compress every log file of a past day, today's logs are still being appended to
+   */
+  rotate: async () => {
+    const today = dayOf(Date.now());
+
+    const files = (await lib.list()).filter(
+      ({ day, compressed }) => !compressed && day < today
+    );
+
+    for (const { fileName } of files) await lib.compress(fileName);
+  },
+
+  /**
+   * Compute the uptime percentage and the average latency of the given entries.
+   * Both are null if there is nothing to compute them from
+   *
+   * @param { object[] } entries
+   * @returns { { total: number, uptime: number | null, averageLatency: number | null } }
+   */
+  summarize: entries => {
+    const up = entries.filter(({ outcome }) => outcome === 'up').length;
+    const latencies = entries
+      .map(({ latency }) => latency)
+      .filter(latency => typeof latency === 'number');
+
+    return {
+      total: entries.length,
+      uptime: entries.length > 0 ? (up / entries.length) * 100 : null,
+      averageLatency:
+        latencies.length > 0
+          ? latencies.reduce((sum, latency) => sum + latency, 0) /
+            latencies.length
+          : null,
+    };
+  },
+};
+
+// Export the module
+module.exports = lib;
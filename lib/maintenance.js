@@ -0,0 +1,204 @@
+/**
+ * Maintenance of the data folder, run on a loop in the background
+ *
+ * Purges the expired tokens and one-time codes, prunes the check history older than config.retention.historyDays
+ * and removes the checks whose user no longer exists or no longer lists them. In dry-run mode nothing is removed,
+ * the report only tells what would be
+ */
+
+// Dependencies
+const fs = require('fs');
+
+const config = require('./config');
+const _data = require('./data');
+const logger = require('./logger');
+const logs = require('./logs');
+
+const debug = logger.debuglog('maintenance');
+
+/**
+ * Run a task on every record of a collection, skipping the ones deleted in the meantime
+ *
+ * @param { 'tokens' | 'users' | 'checks' } dir
+ * @param { (id: string, record: object) => Promise<void> } task
+ */
+const forEachRecord = async (dir, task) => {
+  for (const id of await _data.list(dir)) {
+    let record;
+    try {
+      record = await _data.read(dir, id);
+    } catch {
+      continue;
+    }
+    await task(id, record);
+  }
+};
+
+// Container for the module (to be exported)
+const maintenance = {
+  // Handle of the interval started by maintenance.init
+  interval: null,
+
+  /**
+   * Delete the token records which have expired. An expired access token is removed
+   * on its own, its refresh token stays usable until it expires too
+   *
+   * @param { { dryRun: boolean, now: number } } options
+   * @returns { Promise<string[]> } ids of the records
+   */
+  purgeExpiredTokens: async ({ dryRun, now }) => {
+    const expired = [];
+
+    await forEachRecord('tokens', async (id, tokenData) => {
+      if (typeof tokenData.expires === 'number' && tokenData.expires > now)
+        return;
+
+      if (!dryRun) await _data.delete('tokens', id);
+      expired.push(id);
+    });
+
+    return expired;
+  },
+
+  /**
+   * Delete the one-time codes which have expired without being used
+   *
+   * @param { { dryRun: boolean, now: number } } options
+   * @returns { Promise<string[]> } ids of the records
+   */
+  purgeExpiredCodes: async ({ dryRun, now }) => {
+    const expired = [];
+
+    await forEachRecord('codes', async (id, record) => {
+      if (record.expires > now) return;
+
+      if (!dryRun) await _data.delete('codes', id);
+      expired.push(id);
+    });
+
+    return expired;
+  },
+
+  /**
+   * Delete the log files of the days older than config.retention.historyDays
+   *
+   * @param { { dryRun: boolean, now: number } } options
+   * @returns { Promise<string[]> } names of the files
+   */
+  pruneCheckHistory: async ({ dryRun, now }) => {
+    // The current day is one of the days kept
+    const oldestDay = new Date(
+      now - (config.retention.historyDays - 1) * 24 * 60 * 60 * 1000
+    )
+      .toISOString()
+      .slice(0, 10);
+
+    const files = (await logs.list()).filter(({ day }) => day < oldestDay);
+
+    if (!dryRun)
+      for (const { fileName } of files)
+        await fs.promises.unlink(`${logs.baseDir()}${fileName}`);
+
+    return files.map(({ fileName }) => fileName);
+  },
+
+  /**
+   * Delete the checks whose user no longer exists or no longer lists them, along with their history.
+   * The user and the check are locked while deciding, so that a check being created
+   * (created before being added to its user) or having its result written back is left alone
+   *
+   * @param { { dryRun: boolean } } options
+   * @returns { Promise<string[]> } ids of the checks
+   */
+  removeOrphanedChecks: async ({ dryRun }) => {
+    const orphaned = [];
+
+    await forEachRecord('checks', (id, { userPhone }) =>
+      _data.withLock('users', userPhone, () =>
+        _data.withLock('checks', id, async () => {
+          // Nothing to do if the check went in the meantime
+          if (!(await _data.exists('checks', id))) return;
+
+          const userData = await _data
+            .read('users', userPhone)
+            .catch(() => null);
+          if (userData && userData.checks.includes(id)) return;
+
+          if (!dryRun) {
+            await _data.delete('checks', id);
+            await logs.remove(id);
+          }
+          orphaned.push(id);
+        })
+      )
+    );
+
+    return orphaned;
+  },
+
+  /**
+   * Run all the maintenance tasks, one after the other. A failing task doesn't stop the next ones
+   *
+   * @param { { dryRun?: boolean, now?: number } } [options] dryRun defaults to config.retention.dryRun
+   * @returns { Promise<{ dryRun: boolean, expiredTokens: string[], expiredCodes: string[], checkHistory: string[], orphanedChecks: string[], errors: string[] }> }
+   */
+  run: async ({ dryRun = config.retention.dryRun, now = Date.now() } = {}) => {
+    const report = { dryRun, errors: [] };
+    const tasks = {
+      expiredTokens: maintenance.purgeExpiredTokens,
+      expiredCodes: maintenance.purgeExpiredCodes,
+      checkHistory: maintenance.pruneCheckHistory,
+      orphanedChecks: maintenance.removeOrphanedChecks,
+    };
+
+    for (const name of Object.keys(tasks)) {
+      try {
+        report[name] = await tasks[name]({ dryRun, now });
+      } catch (error) {
+        report[name] = [];
+        report.errors.push(`${name}: ${error.message || error}`);
+      }
+    }
+
+    debug('Report %o', report);
+    return report;
+  },
+
+  /**
+   * Run the maintenance and log how many records it removed, or would remove in dry-run mode
+   */
+  runAndLog: async () => {
+    const report = await maintenance.run();
+
+    logger.info(report.dryRun ? 'Maintenance dry run' : 'Maintenance done', {
+      expiredTokens: report.expiredTokens.length,
+      expiredCodes: report.expiredCodes.length,
+      checkHistory: report.checkHistory.length,
+      orphanedChecks: report.orphanedChecks.length,
+    });
+    if (report.errors.length > 0)
+      logger.error('Some maintenance tasks failed', { errors: report.errors });
+  },
+
+  /**
+   * Run the maintenance immediately, then once per config.retention.interval
+   */
+  init: () => {
+    maintenance.runAndLog();
+    maintenance.interval = setInterval(
+      maintenance.runAndLog,
+      config.retention.interval
+    );
+  },
+
+  /**
+   * Stop running the maintenance
+   */
+  stop: () => {
+    clearInterval(maintenance.interval);
+    maintenance.interval = null;
+  },
+};
+
+// Export the module
+module.exports = maintenance;
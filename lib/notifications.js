@@ -0,0 +1,152 @@
+/**
+ * Library for notifying users about their checks
+ */
+
+// Dependencies
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const querystring = require('querystring');
+
+const config = require('./config');
+const helpers = require('./helpers');
+const logger = require('./logger');
+const validators = require('./validators');
+
+const debug = logger.debuglog('notifications');
+
+/**
+ * Send a request with the given body, resolve with the response status code.
+ * Gives up after config.notifications.timeout, the gateways being free to never answer
+ *
+ * @param { 'http' | 'https' } protocol
+ * @param { object } requestDetails options passed to http(s).request
+ * @param { string } body
+ * @returns { Promise<number> }
+ */
+const sendRequest = (protocol, requestDetails, body) =>
+  new Promise((resolve, reject) => {
+    const _module = protocol === 'http' ? http : https;
+
+    const request = _module.request(
+      {
+        ...requestDetails,
+        headers: {
+          ...requestDetails.headers,
+          'Content-Length': Buffer.byteLength(body),
+        },
+      },
+      response => {
+        // Discard the body, only the status code is of interest
+        response.resume();
+        response.statusCode >= 200 && response.statusCode < 300
+          ? resolve(response.statusCode)
+          : reject(`Returned status code ${response.statusCode}`);
+      }
+    );
+
+    // Bind to the error event so it doesn't get thrown
+    request.on('error', error => reject(error));
+
+    request.setTimeout(config.notifications.timeout, () => {
+      request.destroy();
+      reject('The notification request timed out');
+    });
+
+    request.end(body);
+  });
+
+// Container for the module (to be exported)
+const notifications = {
+  /**
+   * Available transports, keyed by the name used in config.notifications.transport.
+   * Each transport implements send({ phone, message, check }) returning a promise
+   */
+  transports: {
+    // Twilio-style SMS gateway: form-encoded POST with basic auth
+    sms: {
+      send: ({ phone, message }) => {
+        const {
+          accountSid,
+          authToken,
+          fromPhone,
+          host,
+        } = config.notifications.sms;
+
+        const msg = helpers.stringOrFalse(message);
+        if (!validators.phone(phone) || !msg || msg.length > 1600)
+          return Promise.reject('Given parameters were missing or invalid');
+
+        const body = querystring.stringify({
+          From: fromPhone,
+          To: `+1${phone.trim()}`,
+          Body: msg,
+        });
+
+        return sendRequest(
+          'https',
+          {
+            hostname: host,
+            method: 'POST',
+            path: `/2010-04-01/Accounts/${accountSid}/Messages.json`,
+            auth: `${accountSid}:${authToken}`,
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          },
+          body
+        );
+      },
+    },
+
+    // Generic webhook: JSON POST of the whole alert
+    webhook: {
+      send: alert => {
+        const parsedUrl = url.parse(config.notifications.webhook.url);
+        if (!['http:', 'https:'].includes(parsedUrl.protocol))
+          return Promise.reject('Webhook URL is invalid');
+
+        return sendRequest(
+          parsedUrl.protocol.replace(/:$/, ''),
+          {
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port,
+            method: 'POST',
+            path: parsedUrl.path,
+            headers: { 'Content-Type': 'application/json' },
+          },
+          JSON.stringify(alert)
+        );
+      },
+    },
+
+    // Local transport that only records the outgoing alerts, for development and tests.
+    // With API_DEBUG=notifications it prints them too, e.g. to read the one-time codes
+    fake: {
+      sent: [],
+
+      send: alert => {
+        notifications.transports.fake.sent.push(alert);
+        debug('Message to %s: %s', alert.phone, alert.message);
+        return Promise.resolve();
+      },
+    },
+  },
+
+  /**
+   * Send an alert through the transport configured for the current environment
+   *
+   * @param { { phone: string, message: string, check?: object } } alert
+   * @returns { Promise<void> }
+   */
+  send: alert => {
+    const transport = notifications.transports[config.notifications.transport];
+    if (!transport)
+      return Promise.reject(
+        `Unknown notification transport ${config.notifications.transport}`
+      );
+
+    return transport.send(alert);
+  },
+};
+
+// Export the module
+module.exports = notifications;
@@ -0,0 +1,203 @@
+/**
+ * Rate limiting and brute-force protection
+ *
+ * Requests are limited with token buckets: a bucket holds up to `capacity` tokens, refilled
+ * at a steady pace over `interval` ms, and every request takes one. Buckets are kept in memory,
+ * per route & method and per key (the IP of the client, the phone number of the user)
+ */
+
+// Dependencies
+const config = require('./config');
+
+// Buckets by route, method, kind of key and key
+const buckets = new Map();
+
+// Failed logins by phone number
+const failedLogins = new Map();
+
+// Timer of the sweep of the idle buckets, started with the first bucket
+let sweepTimer = null;
+
+/**
+ * Number of tokens in a bucket at a given time
+ *
+ * @param { { tokens: number, updatedAt: number } } bucket
+ * @param { { capacity: number, interval: number } } limit
+ * @param { number } now
+ * @returns { number }
+ */
+const tokensAt = (bucket, limit, now) =>
+  Math.min(
+    limit.capacity,
+    bucket.tokens + ((now - bucket.updatedAt) * limit.capacity) / limit.interval
+  );
+
+/**
+ * Keys a request is limited by, for each kind of key of a limit
+ *
+ * @param { object } data the request data
+ * @returns { { ip: string, phone?: string } }
+ */
+const requestKeys = data => {
+  const payload =
+    typeof data.payload === 'object' && data.payload !== null
+      ? data.payload
+      : {};
+  const phone = [data.params.phone, payload.phone, data.queryStringObject.phone]
+    .map(value => (typeof value === 'string' ? value.trim() : ''))
+    .find(value => value.length > 0);
+
+  return { ip: data.clientIp, ...(phone && { phone }) };
+};
+
+// Container for the module (to be exported)
+const lib = {
+  /**
+   * Take a token from a bucket
+   *
+   * @param { string } key
+   * @param { { capacity: number, interval: number } } limit
+   * @param { number } [now]
+   * @returns { { allowed: boolean, limit: number, remaining: number, reset: number, retryAfter: number } }
+   * reset & retryAfter in seconds: until the bucket is full again, until a token is available
+   */
+  take: (key, limit, now = Date.now()) => {
+    const bucket = buckets.get(key) || {
+      tokens: limit.capacity,
+      updatedAt: now,
+    };
+    const tokens = tokensAt(bucket, limit, now);
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+
+    buckets.set(key, { tokens: left, limit, updatedAt: now });
+    if (!sweepTimer) {
+      sweepTimer = setInterval(lib.sweep, config.rateLimitSweepInterval);
+      sweepTimer.unref();
+    }
+
+    const msPerToken = limit.interval / limit.capacity;
+    return {
+      allowed,
+      limit: limit.capacity,
+      remaining: Math.floor(left),
+      reset: Math.ceil(((limit.capacity - left) * msPerToken) / 1000),
+      retryAfter: allowed ? 0 : Math.ceil(((1 - left) * msPerToken) / 1000),
+    };
+  },
+
+  /**
+   * Forget the buckets which are full again, and the failed logins which don't matter anymore
+   *
+   * @param { number } [now]
+   */
+  sweep: (now = Date.now()) => {
+    buckets.forEach((bucket, key) => {
+      if (tokensAt(bucket, bucket.limit, now) >= bucket.limit.capacity)
+        buckets.delete(key);
+    });
+    failedLogins.forEach((entry, phone) => {
+      if (
+        entry.lockedUntil <= now &&
+        entry.lastFailure + config.loginLockout.duration <= now
+      )
+        failedLogins.delete(phone);
+    });
+  },
+
+  /**
+   * Create the middleware applying the limits of the routes, e.g.
+   * { tokens: { post: { ip: { capacity: 10, interval: 60000 }, phone: { ... } } } }
+   * Every response of a limited route carries the X-RateLimit-* headers of its most restrictive bucket,
+   * the requests over the limit get a 429 with a Retry-After header
+   *
+   * @param { { [route: string]: { [method: string]: { [kind: string]: { capacity: number, interval: number } } } } } limits
+   * @returns { (data: object, next: Function) => Promise<object> }
+   */
+  middleware: limits => async (data, next) => {
+    const routeLimits = (limits[data.route] || {})[data.method];
+    if (!routeLimits) return next();
+
+    const keys = requestKeys(data);
+    const results = Object.keys(routeLimits)
+      .filter(kind => keys[kind] !== undefined)
+      .map(kind =>
+        lib.take(
+          `${data.route}:${data.method}:${kind}:${keys[kind]}`,
+          routeLimits[kind]
+        )
+      );
+    if (results.length === 0) return next();
+
+    // The bucket to wait the longest for if the request is rejected, else the emptiest one
+    const rejected = results.filter(result => !result.allowed);
+    const tightest =
+      rejected.length > 0
+        ? rejected.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a))
+        : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    const headers = {
+      'X-RateLimit-Limit': tightest.limit,
+      'X-RateLimit-Remaining': tightest.remaining,
+      'X-RateLimit-Reset': tightest.reset,
+    };
+
+    if (rejected.length > 0)
+      return {
+        statusCode: 429,
+        headers: { ...headers, 'Retry-After': tightest.retryAfter },
+        payload: { error: 'Too many requests, try again later' },
+      };
+
+    const response = (await next()) || {};
+    return { ...response, headers: { ...headers, ...response.headers } };
+  },
+
+  /**
+   * Seconds until the account can be logged in again, 0 if it is not locked
+   *
+   * @param { string } phone
+   * @param { number } [now]
+   * @returns { number }
+   */
+  lockedFor: (phone, now = Date.now()) => {
+    const entry = failedLogins.get(phone);
+    return entry && entry.lockedUntil > now
+      ? Math.ceil((entry.lockedUntil - now) / 1000)
+      : 0;
+  },
+
+  /**
+   * Count a failed login, locking the account for config.loginLockout.duration
+   * once config.loginLockout.maxFailures are reached
+   *
+   * @param { string } phone
+   * @param { number } [now]
+   */
+  loginFailed: (phone, now = Date.now()) => {
+    const { maxFailures, duration } = config.loginLockout;
+    const entry = failedLogins.get(phone) || { failures: 0, lockedUntil: 0 };
+
+    // Failures older than the lockout duration are forgotten
+    const failures =
+      entry.lastFailure + duration <= now ? 1 : entry.failures + 1;
+
+    failedLogins.set(
+      phone,
+      failures >= maxFailures
+        ? { failures: 0, lockedUntil: now + duration, lastFailure: now }
+        : { failures, lockedUntil: entry.lockedUntil, lastFailure: now }
+    );
+  },
+
+  /**
+   * Clear the failed logins of an account once it is logged in
+   *
+   * @param { string } phone
+   */
+  loginSucceeded: phone => {
+    failedLogins.delete(phone);
+  },
+};
+
+// Export the module
+module.exports = lib;
@@ -0,0 +1,215 @@
+/**
+ * Request router
+ */
+
+/**
+ * Split a path into its segments, ignoring the leading and trailing slashes
+ *
+ * @param { string } path
+ * @returns { string[] }
+ */
+const splitPath = path => path.split('/').filter(segment => segment.length > 0);
+
+/**
+ * Match the segments of a path against the segments of a pattern.
+ * A last segment starting with * captures the rest of the path, e.g. 'public/*file'.
+ * Returns the captured params, or false if the path does not match
+ *
+ * @param { string[] } patternSegments e.g. ['users', ':phone', 'checks']
+ * @param { string[] } pathSegments
+ * @returns { object | false }
+ */
+const matchSegments = (patternSegments, pathSegments) => {
+  const last = patternSegments[patternSegments.length - 1];
+  const isWildcard = last !== undefined && last.startsWith('*');
+  if (
+    isWildcard
+      ? pathSegments.length < patternSegments.length
+      : patternSegments.length !== pathSegments.length
+  )
+    return false;
+
+  const params = {};
+  for (let i = 0; i < patternSegments.length; i++) {
+    const patternSegment = patternSegments[i];
+
+    if (patternSegment.startsWith('*')) {
+      try {
+        params[patternSegment.slice(1)] = pathSegments
+          .slice(i)
+          .map(decodeURIComponent)
+          .join('/');
+      } catch {
+        return false;
+      }
+    } else if (patternSegment.startsWith(':')) {
+      try {
+        params[patternSegment.slice(1)] = decodeURIComponent(pathSegments[i]);
+      } catch {
+        return false;
+      }
+    } else if (patternSegment !== pathSegments[i]) return false;
+  }
+
+  return params;
+};
+
+/**
+ * Compare two patterns so that the more specific one comes first:
+ * a static segment wins over a param in the same position, which wins over a wildcard.
+ * Apart from the wildcards, only patterns of the same length can match the same path,
+ * so the rest is irrelevant
+ *
+ * @param { { segments: string[] } } a
+ * @param { { segments: string[] } } b
+ * @returns { number }
+ */
+const bySpecificity = (a, b) => {
+  const rank = segment => ({ ':': 1, '*': 2 }[segment[0]] || 0);
+
+  const length = Math.min(a.segments.length, b.segments.length);
+  for (let i = 0; i < length; i++) {
+    const difference = rank(a.segments[i]) - rank(b.segments[i]);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+/**
+ * Run a chain of middleware, the last one being the handler.
+ * Each middleware receives the data and a next() function calling the rest of the chain,
+ * and returns (a promise of) the response
+ *
+ * @param { Function[] } chain
+ * @param { object } data
+ * @returns { Promise<{ statusCode?: number, payload?: any, headers?: object }> }
+ */
+const runChain = async (chain, data) => {
+  const [middleware, ...rest] = chain;
+  return middleware(data, () => runChain(rest, data));
+};
+
+/**
+ * Methods a route accepts, in upper case: the ones of its table, plus HEAD when it has GET
+ * and OPTIONS, which the router answers by itself
+ *
+ * @param { { methods: object } } route
+ * @returns { string[] }
+ */
+const routeMethods = route => {
+  const methods = Object.keys(route.methods);
+  if (methods.includes('get') && !methods.includes('head'))
+    methods.push('head');
+  if (!methods.includes('options')) methods.push('options');
+
+  return methods.map(method => method.toUpperCase());
+};
+
+// Container for the module (to be exported)
+const lib = {
+  /**
+   * Create a router out of a declarative route table, e.g.
+   * {
+   *   'users/:phone': { get: handler, put: [middleware, handler] },
+   * }
+   * Handlers receive the request data, extended with the params captured from the path
+   *
+   * @param { { [pattern: string]: { [method: string]: Function | Function[] } } } routes
+   * @param { Function } notFound handler used when no route matches the path
+   */
+  create: (routes, notFound) => {
+    const compiledRoutes = Object.keys(routes)
+      .map(pattern => ({
+        pattern,
+        segments: splitPath(pattern),
+        methods: Object.keys(routes[pattern]).reduce(
+          (methods, method) => ({
+            ...methods,
+            [method.toLowerCase()]: [].concat(routes[pattern][method]),
+          }),
+          {}
+        ),
+      }))
+      .sort(bySpecificity);
+
+    // Middleware applied to every request, before the route's own chain
+    const middleware = [];
+
+    const router = {
+      /**
+       * Register middleware applied to every request
+       *
+       * @param { Function } fn (data, next) => Promise<response>
+       */
+      use: fn => {
+        middleware.push(fn);
+        return router;
+      },
+
+      /**
+       * Find the most specific route matching the path
+       *
+       * @param { string } path
+       * @returns { { route: object, params: object } | false }
+       */
+      match: path => {
+        const pathSegments = splitPath(path);
+
+        for (const route of compiledRoutes) {
+          const params = matchSegments(route.segments, pathSegments);
+          if (params) return { route, params };
+        }
+
+        return false;
+      },
+
+      /**
+       * Methods accepted on a path, false if no route matches it
+       *
+       * @param { string } path
+       * @returns { string[] | false }
+       */
+      allowedMethods: path => {
+        const match = router.match(path);
+        return match && routeMethods(match.route);
+      },
+
+      /**
+       * Route the request to its handler.
+       * HEAD requests are handled by the GET handler (the server leaves the body out),
+       * OPTIONS ones are answered with the accepted methods unless the route has its own handler
+       *
+       * @param { object } data the request data built by the server
+       * @returns { Promise<{ statusCode?: number, payload?: any, headers?: object }> }
+       */
+      handle: data => {
+        const match = router.match(data.trimmedPath);
+
+        if (!match)
+          return runChain([...middleware, notFound], { ...data, params: {} });
+
+        const { route, params } = match;
+        const chain =
+          route.methods[data.method] ||
+          (data.method === 'head' && route.methods.get);
+
+        const allow = { Allow: routeMethods(route).join(', ') };
+        const fallback =
+          data.method === 'options'
+            ? () => Promise.resolve({ statusCode: 204, headers: allow })
+            : () => Promise.resolve({ statusCode: 405, headers: allow });
+
+        return runChain([...middleware, ...(chain || [fallback])], {
+          ...data,
+          route: route.pattern,
+          params,
+        });
+      },
+    };
+
+    return router;
+  },
+};
+
+// Export the module
+module.exports = lib;
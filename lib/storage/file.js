@@ -0,0 +1,113 @@
+/**
+ * File storage driver: every record is a JSON file, in a folder per collection.
+ * Files are never written in place, but written aside then moved over the record
+ */
+
+// Dependencies
+const crypto = require('crypto');
+const fs = require('fs');
+
+const { parseJsonStrToObject } = require('../helpers');
+
+/**
+ * @param { { baseDir: string } } options
+ */
+module.exports = ({ baseDir }) => {
+  const driver = {
+    getFileName: (dir, file) => `${baseDir}${dir}/${file}.json`,
+
+    exists: (dir, file) =>
+      new Promise(resolve => {
+        fs.access(driver.getFileName(dir, file), error => resolve(!error));
+      }),
+
+    /**
+     * Write the data to a temporary file next to the record, so that it can be moved in place at once.
+     * The folder of the collection is created if needed. Resolves with the name of the temporary file
+     */
+    writeTemp: (dir, file, data) =>
+      new Promise((resolve, reject) => {
+        const tempFileName = `${driver.getFileName(dir, file)}.${
+          process.pid
+        }.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+        fs.mkdir(`${baseDir}${dir}/`, { recursive: true }, error => {
+          if (error) return reject('Could not create the directory');
+
+          fs.writeFile(
+            tempFileName,
+            JSON.stringify(data),
+            { flag: 'wx' },
+            error =>
+              error
+                ? reject('Error writing to temporary file')
+                : resolve(tempFileName)
+          );
+        });
+      }),
+
+    create: async (dir, file, data) => {
+      const tempFileName = await driver.writeTemp(dir, file, data);
+
+      // Linking fails if the record already exists, so a concurrent create can't be overwritten
+      return new Promise((resolve, reject) => {
+        fs.link(tempFileName, driver.getFileName(dir, file), linkError => {
+          fs.unlink(tempFileName, () =>
+            linkError
+              ? reject('Could not create new file, it may already exist')
+              : resolve()
+          );
+        });
+      });
+    },
+
+    read: (dir, file) =>
+      new Promise((resolve, reject) => {
+        fs.readFile(driver.getFileName(dir, file), 'utf8', (error, data) =>
+          error ? reject(error) : resolve(parseJsonStrToObject(data))
+        );
+      }),
+
+    update: async (dir, file, data) => {
+      if (!(await driver.exists(dir, file)))
+        throw 'Could not open the file for updating, it may not exist yet';
+
+      const tempFileName = await driver.writeTemp(dir, file, data);
+
+      // Renaming replaces the record at once: a crash leaves either the old or the new version
+      return new Promise((resolve, reject) => {
+        fs.rename(tempFileName, driver.getFileName(dir, file), error => {
+          if (!error) return resolve();
+
+          fs.unlink(tempFileName, () =>
+            reject('Error replacing existing file')
+          );
+        });
+      });
+    },
+
+    delete: (dir, file) =>
+      new Promise((resolve, reject) => {
+        fs.unlink(driver.getFileName(dir, file), error =>
+          error ? reject('Error deleting file') : resolve()
+        );
+      }),
+
+    list: dir =>
+      new Promise((resolve, reject) => {
+        fs.readdir(`${baseDir}${dir}/`, (error, fileNames) => {
+          // Nothing has been stored in this directory yet
+          if (error && error.code === 'ENOENT') return resolve([]);
+          if (error) return reject('Error listing directory');
+
+          resolve(
+            fileNames
+              .filter(fileName => fileName.endsWith('.json'))
+              .map(fileName => fileName.replace(/\.json$/, ''))
+          );
+        });
+      }),
+  };
+
+  return driver;
+};
@@ -0,0 +1,45 @@
+/**
+ * In-memory storage driver, for tests: nothing survives the process
+ */
+
+module.exports = () => {
+  // Records are kept serialized, so callers can't mutate them in place
+  const collections = new Map();
+
+  const collection = dir => {
+    if (!collections.has(dir)) collections.set(dir, new Map());
+    return collections.get(dir);
+  };
+
+  return {
+    exists: (dir, file) => Promise.resolve(collection(dir).has(file)),
+
+    create: (dir, file, data) => {
+      if (collection(dir).has(file))
+        return Promise.reject('Could not create new record, it already exists');
+
+      collection(dir).set(file, JSON.stringify(data));
+      return Promise.resolve();
+    },
+
+    read: (dir, file) =>
+      collection(dir).has(file)
+        ? Promise.resolve(JSON.parse(collection(dir).get(file)))
+        : Promise.reject('Record does not exist'),
+
+    update: (dir, file, data) => {
+      if (!collection(dir).has(file))
+        return Promise.reject('Could not update the record, it does not exist');
+
+      collection(dir).set(file, JSON.stringify(data));
+      return Promise.resolve();
+    },
+
+    delete: (dir, file) =>
+      collection(dir).delete(file)
+        ? Promise.resolve()
+        : Promise.reject('Error deleting record'),
+
+    list: dir => Promise.resolve([...collection(dir).keys()]),
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * SQLite storage driver: all the records in a single table of an embedded database.
+ * Relies on the node:sqlite module, available from Node 22.5
+ */
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param { { fileName: string } } options
+ */
+module.exports = ({ fileName }) => {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch {
+    throw new Error(
+      'The sqlite storage driver needs a Node version shipping node:sqlite (22.5 or later)'
+    );
+  }
+
+  // The database can't be created in a folder which does not exist yet, e.g. on a fresh checkout
+  fs.mkdirSync(path.dirname(fileName), { recursive: true });
+  const db = new sqlite.DatabaseSync(fileName);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      dir TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (dir, id)
+    )
+  `);
+
+  const statements = {
+    exists: db.prepare('SELECT 1 FROM records WHERE dir = ? AND id = ?'),
+    create: db.prepare('INSERT INTO records (dir, id, data) VALUES (?, ?, ?)'),
+    read: db.prepare('SELECT data FROM records WHERE dir = ? AND id = ?'),
+    update: db.prepare('UPDATE records SET data = ? WHERE dir = ? AND id = ?'),
+    delete: db.prepare('DELETE FROM records WHERE dir = ? AND id = ?'),
+    list: db.prepare('SELECT id FROM records WHERE dir = ? ORDER BY id'),
+  };
+
+  /**
+   * Run a synchronous query, turning its result or error into a promise
+   *
+   * @param { () => any } query
+   * @param { string } message rejection reason if the query throws
+   */
+  const run = (query, message) => {
+    try {
+      return Promise.resolve(query());
+    } catch {
+      return Promise.reject(message);
+    }
+  };
+
+  return {
+    exists: (dir, file) =>
+      run(
+        () => statements.exists.get(dir, file) !== undefined,
+        'Error looking up the record'
+      ),
+
+    create: (dir, file, data) =>
+      run(() => {
+        statements.create.run(dir, file, JSON.stringify(data));
+      }, 'Could not create new record, it may already exist'),
+
+    read: (dir, file) =>
+      run(
+        () => statements.read.get(dir, file),
+        'Error reading the record'
+      ).then(row =>
+        row ? JSON.parse(row.data) : Promise.reject('Record does not exist')
+      ),
+
+    update: (dir, file, data) =>
+      run(
+        () => statements.update.run(JSON.stringify(data), dir, file).changes,
+        'Error updating the record'
+      ).then(changes =>
+        changes > 0
+          ? undefined
+          : Promise.reject('Could not update the record, it may not exist yet')
+      ),
+
+    delete: (dir, file) =>
+      run(
+        () => statements.delete.run(dir, file).changes,
+        'Error deleting record'
+      ).then(changes =>
+        changes > 0 ? undefined : Promise.reject('Error deleting record')
+      ),
+
+    list: dir =>
+      run(
+        () => statements.list.all(dir).map(({ id }) => id),
+        'Error listing records'
+      ),
+
+    close: () => db.close(),
+  };
+};
@@ -0,0 +1,132 @@
+/**
+ * HTML templates of the dashboard, and its static assets
+ *
+ * A page is made of templates/_header.html, the template of the page and templates/_footer.html.
+ * Their {key} placeholders are replaced by the variables of the page, and {global.key} ones
+ * by the variables of config.templateGlobals, available to every template
+ */
+
+// Dependencies
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+
+// MIME types of the static assets, by extension
+const mimeTypes = {
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+};
+
+/**
+ * Escape a value to be inserted in HTML
+ *
+ * @param { any } value
+ * @returns { string }
+ */
+const escapeHtml = value =>
+  String(value).replace(
+    /[&<>"']/g,
+    char =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[
+        char
+      ])
+  );
+
+// Container for the module (to be exported)
+const lib = {
+  // Directory of the templates
+  templatesDir: path.join(__dirname, '../templates/'),
+
+  // Directory of the static assets
+  publicDir: path.join(__dirname, '../public/'),
+
+  /**
+   * Replace the placeholders of a template by the (escaped) variables.
+   * Placeholders without a variable are left as they are
+   *
+   * @param { string } str
+   * @param { object } data
+   * @returns { string }
+   */
+  interpolate: (str, data = {}) => {
+    const variables = { ...data };
+    Object.keys(config.templateGlobals).forEach(key => {
+      variables[`global.${key}`] = config.templateGlobals[key];
+    });
+
+    return str.replace(/\{([\w.]+)\}/g, (placeholder, key) =>
+      variables[key] === undefined ? placeholder : escapeHtml(variables[key])
+    );
+  },
+
+  /**
+   * Read a template and interpolate it
+   *
+   * @param { string } name file name of the template, without the extension
+   * @param { object } data
+   * @returns { Promise<string> }
+   */
+  get: async (name, data) => {
+    if (!/^[a-z_][a-z0-9]*$/i.test(name)) throw `Invalid template name ${name}`;
+
+    const str = await fs.promises.readFile(
+      `${lib.templatesDir}${name}.html`,
+      'utf8'
+    );
+    return lib.interpolate(str, data);
+  },
+
+  /**
+   * Render a whole page: the header, the template of the page and the footer
+   *
+   * @param { string } name
+   * @param { object } data
+   * @returns { Promise<string> }
+   */
+  render: async (name, data) => {
+    const [header, body, footer] = await Promise.all([
+      lib.get('_header', data),
+      lib.get(name, data),
+      lib.get('_footer', data),
+    ]);
+    return header + body + footer;
+  },
+
+  /**
+   * Read a static asset, rejecting if it does not exist or is outside of the public directory
+   *
+   * @param { string } fileName path relative to the public directory
+   * @returns { Promise<{ content: Buffer, contentType: string, etag: string }> }
+   */
+  readAsset: async fileName => {
+    const filePath = path.resolve(lib.publicDir, fileName);
+    if (!filePath.startsWith(lib.publicDir)) throw 'Invalid asset path';
+
+    const content = await fs.promises.readFile(filePath);
+    return {
+      content,
+      contentType:
+        mimeTypes[path.extname(filePath).toLowerCase()] ||
+        'application/octet-stream',
+      etag: `"${crypto
+        .createHash('sha1')
+        .update(content)
+        .digest('base64url')}"`,
+    };
+  },
+};
+
+// Export the module
+module.exports = lib;
@@ -0,0 +1,161 @@
+/**
+ * Transport security: TLS options of the HTTPS server, certificate hot reload,
+ * redirection of the HTTP listener, security headers and client certificates
+ */
+
+// Dependencies
+const fs = require('fs');
+
+const config = require('./config');
+const logger = require('./logger');
+
+const debug = logger.debuglog('tls');
+
+// Container for the module (to be exported)
+const lib = {
+  /**
+   * Options of the secure context of the HTTPS server, read from the configured files
+   *
+   * @returns { object }
+   */
+  secureContextOptions: () => {
+    const { keyPath, certPath, clientCaPath, minVersion, ciphers } = config.tls;
+
+    return {
+      key: fs.readFileSync(keyPath),
+      cert: fs.readFileSync(certPath),
+      minVersion,
+      ...(ciphers && { ciphers }),
+      ...(clientCaPath && { ca: fs.readFileSync(clientCaPath) }),
+    };
+  },
+
+  /**
+   * Options of the HTTPS server. When a client CA is configured, the clients are asked for
+   * a certificate, which is only required on the admin routes (see requireClientCert)
+   *
+   * @returns { object }
+   */
+  serverOptions: () => ({
+    ...lib.secureContextOptions(),
+    requestCert: Boolean(config.tls.clientCaPath),
+    rejectUnauthorized: false,
+  }),
+
+  /**
+   * Reload the key and the certificates of the server whenever their files change,
+   * keeping the current ones if the new files can't be used (e.g. only one of them was replaced yet)
+   *
+   * @param { import('https').Server } server
+   * @returns { () => void } stops watching
+   */
+  watch: server => {
+    const { keyPath, certPath, clientCaPath, reloadInterval } = config.tls;
+    const files = [keyPath, certPath, clientCaPath].filter(Boolean);
+
+    const reload = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+
+      try {
+        server.setSecureContext(lib.secureContextOptions());
+        logger.info('Reloaded the TLS certificates');
+      } catch (error) {
+        logger.error('Could not reload the TLS certificates', { error });
+      }
+    };
+
+    files.forEach(file =>
+      fs.watchFile(
+        file,
+        { persistent: false, interval: reloadInterval },
+        reload
+      )
+    );
+    debug('Watching %o', files);
+
+    return () => files.forEach(file => fs.unwatchFile(file, reload));
+  },
+
+  /**
+   * Handler of the HTTP listener when it only redirects to HTTPS.
+   * 308 keeps the method and the body, so a POST stays a POST
+   *
+   * @param { () => number } httpsPort port of the HTTPS server, once it listens
+   * @returns { (request: import('http').IncomingMessage, response: import('http').ServerResponse) => void }
+   */
+  redirectToHttps: httpsPort => (request, response) => {
+    const hostname = (request.headers.host || 'localhost').replace(/:\d+$/, '');
+    const port = httpsPort();
+
+    response.writeHead(308, {
+      Location: `https://${hostname}${port === 443 ? '' : `:${port}`}${
+        request.url
+      }`,
+      ...lib.securityHeaders(false),
+    });
+    response.end();
+  },
+
+  /**
+   * Headers hardening every response. HSTS is only sent over HTTPS, as browsers ignore it otherwise
+   *
+   * @param { boolean } secure
+   * @returns { object }
+   */
+  securityHeaders: secure => {
+    const { maxAge, includeSubDomains } = config.tls.hsts;
+
+    return {
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'no-referrer',
+      'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+      ...(secure &&
+        maxAge > 0 && {
+          'Strict-Transport-Security': `max-age=${maxAge}${
+            includeSubDomains ? '; includeSubDomains' : ''
+          }`,
+        }),
+    };
+  },
+
+  // Policy of the HTML pages of the dashboard, which load their scripts & styles and call the API
+  pageContentSecurityPolicy:
+    "default-src 'self'; frame-ancestors 'none'; form-action 'self'; object-src 'none'",
+
+  /**
+   * Subject of the client certificate of a request, if it was signed by the configured client CA
+   *
+   * @param { import('http').IncomingMessage } request
+   * @returns { object | null }
+   */
+  clientCertificate: request => {
+    const { socket } = request;
+    if (!socket.encrypted || !socket.authorized) return null;
+
+    const { subject } = socket.getPeerCertificate();
+    return subject || null;
+  },
+
+  /**
+   * Middleware restricting the given routes to the clients with a valid certificate.
+   * Does nothing when no client CA is configured
+   *
+   * @param { string[] } routes patterns of the route table, e.g. 'admin/users'
+   * @returns { (data: object, next: Function) => Promise<object> }
+   */
+  requireClientCert: routes => async (data, next) => {
+    if (!config.tls.clientCaPath || !routes.includes(data.route)) return next();
+
+    if (!data.clientCertificate)
+      return {
+        statusCode: 403,
+        payload: { error: 'A valid client certificate is required' },
+      };
+
+    return next();
+  },
+};
+
+// Export the module
+module.exports = lib;
@@ -0,0 +1,170 @@
+/**
+ * Library for issuing, verifying and revoking the tokens
+ *
+ * The secrets handed to the clients are never stored: the records in .data/tokens
+ * are named after a hash of the secret, so a leak of the data folder does not leak usable tokens
+ */
+
+// Dependencies
+const crypto = require('crypto');
+
+const config = require('./config');
+const helpers = require('./helpers');
+const _data = require('./data');
+
+// Container for the module (to be exported)
+const lib = {
+  /**
+   * Generate a new secret
+   *
+   * @returns { string }
+   */
+  generate: () => crypto.randomBytes(32).toString('hex'),
+
+  /**
+   * Name of the record of a secret
+   *
+   * @param { string } secret
+   * @returns { string }
+   */
+  recordId: secret => helpers.hash(secret),
+
+  /**
+   * Issue a new access token and its refresh token for the user
+   *
+   * @param { string } phone
+   * @returns { Promise<{ id: string, phone: string, expires: number, refreshToken: string, refreshExpires: number }> }
+   */
+  create: async phone => {
+    const accessToken = lib.generate();
+    const refreshToken = lib.generate();
+    const accessId = lib.recordId(accessToken);
+    const refreshId = lib.recordId(refreshToken);
+
+    const expires = Date.now() + config.tokenTtl;
+    const refreshExpires = Date.now() + config.refreshTokenTtl;
+
+    await _data.create('tokens', accessId, {
+      type: 'access',
+      phone,
+      expires,
+      refreshId,
+    });
+    await _data.create('tokens', refreshId, {
+      type: 'refresh',
+      phone,
+      expires: refreshExpires,
+      accessId,
+    });
+
+    return {
+      id: accessToken,
+      phone,
+      expires,
+      refreshToken,
+      refreshExpires,
+    };
+  },
+
+  /**
+   * Read the record of a secret, rejects if there is none of the given type
+   *
+   * @param { string } secret
+   * @param { 'access' | 'refresh' } [type]
+   * @returns { Promise<{ type: string, phone: string, expires: number }> }
+   */
+  read: async (secret, type = 'access') => {
+    if (typeof secret !== 'string' || secret.length === 0)
+      throw 'Token is missing';
+
+    const tokenData = await _data.read('tokens', lib.recordId(secret));
+    if (tokenData.type !== type) throw 'Token is of another type';
+
+    return tokenData;
+  },
+
+  /**
+   * Push the expiration of an access token config.tokenTtl from now
+   *
+   * @param { string } secret
+   * @returns { Promise<number> } the new expiration
+   */
+  extend: async secret => {
+    const tokenData = await lib.read(secret);
+    if (tokenData.expires <= Date.now())
+      throw 'The token has already expired and can not be extended';
+
+    tokenData.expires = Date.now() + config.tokenTtl;
+    await _data.update('tokens', lib.recordId(secret), tokenData);
+
+    return tokenData.expires;
+  },
+
+  /**
+   * Delete the records of a pair of tokens, given the id of either of them.
+   * A record that no longer exists is not an error
+   *
+   * @param { string } recordId
+   */
+  deletePair: async recordId => {
+    const tokenData = await _data.read('tokens', recordId);
+    const pairedId =
+      tokenData.type === 'access' ? tokenData.refreshId : tokenData.accessId;
+
+    await _data.delete('tokens', recordId);
+    if (pairedId && (await _data.exists('tokens', pairedId)))
+      await _data.delete('tokens', pairedId);
+  },
+
+  /**
+   * Revoke an access token, along with its refresh token
+   *
+   * @param { string } secret
+   */
+  revoke: async secret => {
+    await lib.read(secret);
+    await lib.deletePair(lib.recordId(secret));
+  },
+
+  /**
+   * Exchange a refresh token for a new pair of tokens. The old pair is revoked
+   *
+   * @param { string } refreshToken
+   */
+  refresh: async refreshToken => {
+    const tokenData = await lib.read(refreshToken, 'refresh');
+    if (tokenData.expires <= Date.now()) throw 'The refresh token has expired';
+
+    await lib.deletePair(lib.recordId(refreshToken));
+
+    return lib.create(tokenData.phone);
+  },
+
+  /**
+   * Revoke all the tokens of a user, i.e. log them out of all their sessions
+   *
+   * @param { string } phone
+   * @returns { Promise<number> } number of token records deleted
+   */
+  revokeAll: async phone => {
+    const recordIds = await _data.list('tokens');
+
+    let count = 0;
+    for (const recordId of recordIds) {
+      try {
+        const tokenData = await _data.read('tokens', recordId);
+        if (tokenData.phone !== phone) continue;
+
+        await _data.delete('tokens', recordId);
+        count++;
+      } catch {
+        // The record has been deleted in the meantime
+      }
+    }
+
+    return count;
+  },
+};
+
+// Export the module
+module.exports = lib;
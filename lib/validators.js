@@ -1,3 +1,296 @@
-module.exports = {
-  phone: str => typeof str === 'string' && str.trim().length === 10,
+/**
+ * Request validation
+ */
+
+// Common string patterns
+const patterns = {
+  // Host with an optional port, path and query string: the way the URLs of the checks are stored (without the protocol).
+  // The path is printable ASCII, other characters must be percent-encoded for Node to send it
+  url: /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*(:\d{1,5})?([/?#][\x21-\x7e]*)?$/i,
 };
+
+// How to tell if a value is of a given type
+const isOfType = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => value instanceof Array,
+  object: value =>
+    typeof value === 'object' && value !== null && !(value instanceof Array),
+};
+
+/**
+ * Convert a value sent as a string (in a query string or a form) to the type of its rule:
+ * numbers, booleans, and single values where an array is expected
+ *
+ * @param { object } rule
+ * @param { any } value
+ * @returns { any }
+ */
+const coerceValue = (rule, value) => {
+  if (rule.type === 'array' && typeof value === 'string') return [value];
+  if (typeof value !== 'string') return value;
+
+  if (
+    ['number', 'integer'].includes(rule.type) &&
+    /^-?\d+(\.\d+)?$/.test(value)
+  )
+    return Number(value);
+  if (rule.type === 'boolean' && ['true', 'false'].includes(value))
+    return value === 'true';
+
+  return value;
+};
+
+/**
+ * Check a single value against its rule.
+ * Strings are trimmed, and an empty string counts as a missing value
+ *
+ * A rule may have:
+ *  - type: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+ *  - required: boolean
+ *  - min, max: range of a number
+ *  - minLength, maxLength, length: length of a string or an array
+ *  - pattern: RegExp a string must match
+ *  - enum: list of the allowed values
+ *  - items: rule every element of an array must follow
+ *  - properties: schema an object must follow
+ *  - keyPattern: RegExp the keys of an object must match
+ *  - values: rule every value of an object must follow
+ *  - isValid: function telling if the value is acceptable, for what the other rules can't express
+ *
+ * @param { object } rule
+ * @param { any } input
+ * @param { string } field name of the field, used in the errors
+ * @param { boolean } coerce whether the input comes as strings (see coerceValue)
+ * @returns { { value: any, errors: { field: string, message: string }[] } }
+ */
+const checkValue = (rule, input, field, coerce) => {
+  const trimmed = typeof input === 'string' ? input.trim() : input;
+  const value = coerce ? coerceValue(rule, trimmed) : trimmed;
+
+  const fail = message => ({ value: undefined, errors: [{ field, message }] });
+
+  if (value === undefined || value === null || value === '')
+    return rule.required
+      ? fail('is required')
+      : { value: undefined, errors: [] };
+
+  if (rule.type && !isOfType[rule.type](value))
+    return fail(`must be of type ${rule.type}`);
+
+  if (rule.enum && !rule.enum.includes(value))
+    return fail(`must be one of ${rule.enum.join(', ')}`);
+
+  if (typeof rule.min === 'number' && value < rule.min)
+    return fail(`must be at least ${rule.min}`);
+  if (typeof rule.max === 'number' && value > rule.max)
+    return fail(`must be at most ${rule.max}`);
+
+  if (typeof rule.length === 'number' && value.length !== rule.length)
+    return fail(`must have a length of ${rule.length}`);
+  if (typeof rule.minLength === 'number' && value.length < rule.minLength)
+    return fail(`must have a length of at least ${rule.minLength}`);
+  if (typeof rule.maxLength === 'number' && value.length > rule.maxLength)
+    return fail(`must have a length of at most ${rule.maxLength}`);
+
+  if (rule.pattern && !rule.pattern.test(value))
+    return fail('has an invalid format');
+
+  if (rule.isValid && !rule.isValid(value)) return fail('is invalid');
+
+  if (rule.keyPattern) {
+    const invalidKey = Object.keys(value).find(
+      key => !rule.keyPattern.test(key)
+    );
+    if (invalidKey !== undefined)
+      return fail(`has an invalid key ${invalidKey}`);
+  }
+
+  if (rule.items) {
+    const results = value.map((item, index) =>
+      checkValue(rule.items, item, `${field}[${index}]`, coerce)
+    );
+    return {
+      value: results.map(result => result.value),
+      errors: [].concat(...results.map(result => result.errors)),
+    };
+  }
+
+  if (rule.values) {
+    const results = Object.keys(value).map(key => ({
+      key,
+      ...checkValue(rule.values, value[key], `${field}.${key}`, coerce),
+    }));
+    return {
+      value: results.reduce(
+        (values, result) =>
+          result.value === undefined
+            ? values
+            : { ...values, [result.key]: result.value },
+        {}
+      ),
+      errors: [].concat(...results.map(result => result.errors)),
+    };
+  }
+
+  if (rule.properties) {
+    const result = validators.validate(rule.properties, value, { coerce });
+    return {
+      value: result.values,
+      errors: result.errors.map(error => ({
+        ...error,
+        field: `${field}.${error.field}`,
+      })),
+    };
+  }
+
+  return { value, errors: [] };
+};
+
+// Container for the module (to be exported)
+const validators = {
+  patterns,
+
+  phone: str => typeof str === 'string' && /^\d{10}$/.test(str.trim()),
+
+  /**
+   * Validate an input object against a schema, i.e. a rule per field (see checkValue).
+   * Fields which are not in the schema are dropped from the values
+   *
+   * @param { { [field: string]: object } } schema
+   * @param { object } input
+   * @param { { coerce?: boolean } } [options] coerce: the values of the input are strings to be converted
+   * @returns { { values: object, errors: { field: string, message: string }[] } }
+   */
+  validate: (schema, input, { coerce = false } = {}) => {
+    const source = isOfType.object(input) ? input : {};
+
+    return Object.keys(schema).reduce(
+      ({ values, errors }, field) => {
+        const result = checkValue(schema[field], source[field], field, coerce);
+        return {
+          values:
+            result.value === undefined
+              ? values
+              : { ...values, [field]: result.value },
+          errors: [...errors, ...result.errors],
+        };
+      },
+      { values: {}, errors: [] }
+    );
+  },
+};
+
+/**
+ * Make every field of a schema required
+ *
+ * @param { { [field: string]: object } } schema
+ */
+validators.required = schema =>
+  Object.keys(schema).reduce(
+    (result, field) => ({
+      ...result,
+      [field]: { ...schema[field], required: true },
+    }),
+    {}
+  );
+
+// Rules of the fields shared by the payloads of the API
+validators.fields = {
+  // The 10 digits of a US number, the format the records are keyed by and the SMS are sent to (+1<phone>):
+  // E.164 numbers would change the ids of the existing users, so they are left out on purpose
+  phone: { type: 'string', length: 10, pattern: /^\d+$/ },
+  name: { type: 'string', maxLength: 100 },
+  password: { type: 'string' },
+  // One-time code sent by SMS, see lib/codes.js
+  code: { type: 'string', pattern: /^\d{4,10}$/ },
+  id: { type: 'string', pattern: /^[a-z0-9]+$/ },
+  protocol: { type: 'string', enum: ['http', 'https'] },
+  url: { type: 'string', pattern: patterns.url },
+  method: { type: 'string', enum: ['post', 'get', 'put', 'delete'] },
+  successCodes: {
+    type: 'array',
+    minLength: 1,
+    items: { type: 'integer', required: true, min: 100, max: 599 },
+  },
+  timeoutSeconds: { type: 'integer', min: 1, max: 5 },
+  // Headers sent by a check, except the ones the request itself sets
+  headers: {
+    type: 'object',
+    keyPattern: /^[a-z0-9!#$%&'*+.^_`|~-]{1,64}$/i,
+    isValid: headers =>
+      Object.keys(headers).length <= 20 &&
+      !Object.keys(headers).some(name =>
+        ['host', 'content-length', 'transfer-encoding', 'connection'].includes(
+          name.toLowerCase()
+        )
+      ),
+    // Characters Node accepts in a header value: tabs, printable ASCII and Latin-1
+    values: {
+      type: 'string',
+      required: true,
+      maxLength: 1000,
+      pattern: /^[\t\x20-\x7e\x80-\xff]*$/,
+    },
+  },
+  body: { type: 'string', maxLength: 10000 },
+  // Substring the body of the response must contain
+  bodyContains: { type: 'string', maxLength: 1000 },
+  // Regular expression the body of the response must match
+  bodyMatches: {
+    type: 'string',
+    maxLength: 200,
+    isValid: source => {
+      try {
+        return Boolean(new RegExp(source));
+      } catch {
+        return false;
+      }
+    },
+  },
+  maxLatencyMs: { type: 'integer', min: 1, max: 5000 },
+  intervalSeconds: { type: 'integer', min: 10, max: 24 * 60 * 60 },
+  basicAuth: {
+    type: 'object',
+    properties: validators.required({
+      username: { type: 'string', maxLength: 100, pattern: /^[^:]*$/ },
+      password: { type: 'string', maxLength: 100 },
+    }),
+  },
+};
+
+// Optional settings of a check, which can be removed with the `unset` field of an update
+validators.optionalCheckFields = [
+  'headers',
+  'body',
+  'bodyContains',
+  'bodyMatches',
+  'maxLatencyMs',
+  'intervalSeconds',
+  'basicAuth',
+];
+
+// Schemas of the records checked outside of the requests
+validators.schemas = {
+  // A check, as stored by the checks handlers
+  check: {
+    ...validators.required({
+      id: validators.fields.id,
+      userPhone: validators.fields.phone,
+      protocol: validators.fields.protocol,
+      url: validators.fields.url,
+      method: validators.fields.method,
+      successCodes: validators.fields.successCodes,
+      timeoutSeconds: validators.fields.timeoutSeconds,
+    }),
+    ...validators.optionalCheckFields.reduce(
+      (schema, field) => ({ ...schema, [field]: validators.fields[field] }),
+      {}
+    ),
+  },
+};
+
+// Export the module
+module.exports = validators;
@@ -0,0 +1,489 @@
+/**
+ * Worker-related tasks
+ */
+
+// Dependencies
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const { StringDecoder } = require('string_decoder');
+const { Worker } = require('worker_threads');
+
+const config = require('./config');
+const _data = require('./data');
+const logger = require('./logger');
+const logs = require('./logs');
+const notifications = require('./notifications');
+const validators = require('./validators');
+
+const debug = logger.debuglog('workers');
+
+// Code of the thread testing a bodyMatches pattern, see workers.matchesPattern
+const patternThreadCode = `
+const { parentPort, workerData } = require('worker_threads');
+parentPort.postMessage(new RegExp(workerData.source).test(workerData.str));
+`;
+
+/**
+ * A check as sent along with its alerts, which may leave for a third party (e.g. a webhook):
+ * without the basic auth password nor the values of the headers, which may hold credentials
+ *
+ * @param { object } checkData
+ * @returns { object }
+ */
+const alertCheck = ({ basicAuth, headers, ...checkData }) => ({
+  ...checkData,
+  ...(basicAuth && { basicAuth: { username: basicAuth.username } }),
+  ...(headers && { headers: Object.keys(headers) }),
+});
+
+// Container for the module (to be exported)
+const workers = {
+  // Handles of the intervals started by workers.loop
+  interval: null,
+  rotationInterval: null,
+
+  // Ids of the checks being performed, so that a slow one isn't started again by the next tick
+  inFlight: new Set(),
+
+  /**
+   * Lookup all checks, get their data and pass them through the pipeline
+   */
+  gatherAllChecks: async () => {
+    let checkIds;
+    try {
+      checkIds = await _data.list('checks');
+    } catch {
+      return logger.error('Could not find any checks to process');
+    }
+
+    const now = Date.now();
+    await Promise.all(
+      checkIds.map(async checkId => {
+        // Only the invocation which started the check may mark it as done
+        let started = false;
+        try {
+          const checkData = workers.validateCheckData(
+            await _data.read('checks', checkId)
+          );
+          if (!checkData)
+            return logger.warn('Check is not properly formatted, skipping it', {
+              checkId,
+            });
+          if (workers.inFlight.has(checkId) || !workers.isDue(checkData, now))
+            return;
+
+          workers.inFlight.add(checkId);
+          started = true;
+          const outcome = await workers.performCheck(checkData);
+          debug('Check %s outcome %o', checkId, {
+            ...outcome,
+            body: outcome.body && `${outcome.body.length} characters`,
+          });
+          await workers.processCheckOutcome(checkData, outcome);
+        } catch (error) {
+          logger.error('Could not process check', { checkId, error });
+        } finally {
+          if (started) workers.inFlight.delete(checkId);
+        }
+      })
+    );
+  },
+
+  /**
+   * Sanity-check the check data, filling in the worker-owned fields.
+   * Returns false if the check can not be processed
+   *
+   * @param { object } checkData
+   * @returns { object | false }
+   */
+  validateCheckData: checkData => {
+    const { values, errors } = validators.validate(
+      validators.schemas.check,
+      checkData
+    );
+    if (errors.length > 0) return false;
+
+    // Set the keys that may not be set if the workers have never seen this check before
+    const state = ['up', 'down'].includes(checkData.state)
+      ? checkData.state
+      : 'down';
+    const lastChecked =
+      typeof checkData.lastChecked === 'number' && checkData.lastChecked > 0
+        ? checkData.lastChecked
+        : false;
+
+    return { ...checkData, ...values, state, lastChecked };
+  },
+
+  /**
+   * Tell if a check is to be performed: its interval (intervalSeconds, or config.checksInterval)
+   * has elapsed since it was last performed, give or take half a tick of the loop
+   *
+   * @param { object } checkData
+   * @param { number } now
+   * @returns { boolean }
+   */
+  isDue: (checkData, now) => {
+    if (!checkData.lastChecked) return true;
+
+    const interval = checkData.intervalSeconds
+      ? checkData.intervalSeconds * 1000
+      : config.checksInterval;
+    return now - checkData.lastChecked >= interval - config.checksTick / 2;
+  },
+
+  /**
+   * Perform the request described by the check.
+   * Always resolves with the outcome, never rejects.
+   * The latency is the time until the response headers are received. The body of the response
+   * is only read (up to config.maxCheckResponseSize) if the check asserts on it.
+   * The whole exchange, body included, must be over within the timeout of the check
+   *
+   * @param { object } checkData
+   * @returns { Promise<{ error: false | { error: true, value: any }, responseCode: false | number, latency: number, body?: string }> }
+   */
+  performCheck: checkData =>
+    new Promise(resolve => {
+      const outcome = { error: false, responseCode: false, latency: 0 };
+      const startedAt = Date.now();
+      let outcomeSent = false;
+      let deadline = null;
+
+      const sendOutcome = () => {
+        if (outcomeSent) return;
+        outcomeSent = true;
+        clearTimeout(deadline);
+        if (!outcome.latency) outcome.latency = Date.now() - startedAt;
+        resolve(outcome);
+      };
+
+      // Events coming after the outcome was sent (e.g. the close of a truncated body) must not alter it
+      const fail = value => {
+        if (outcomeSent) return;
+        outcome.error = { error: true, value };
+        sendOutcome();
+      };
+
+      // Parse the hostname and the path out of the original check data
+      const parsedUrl = url.parse(
+        `${checkData.protocol}://${checkData.url}`,
+        true
+      );
+
+      // Construct the request
+      const requestDetails = {
+        protocol: `${checkData.protocol}:`,
+        hostname: parsedUrl.hostname,
+        port: parsedUrl.port,
+        method: checkData.method.toUpperCase(),
+        path: parsedUrl.path,
+        timeout: checkData.timeoutSeconds * 1000,
+        headers: {
+          ...checkData.headers,
+          ...(checkData.body && {
+            'Content-Length': Buffer.byteLength(checkData.body),
+          }),
+        },
+        ...(checkData.basicAuth && {
+          auth: `${checkData.basicAuth.username}:${checkData.basicAuth.password}`,
+        }),
+      };
+
+      const _module = checkData.protocol === 'http' ? http : https;
+
+      // The request may throw right away, e.g. on a character Node refuses in a stored check
+      let request;
+      try {
+        request = _module.request(requestDetails, response => {
+          outcome.responseCode = response.statusCode;
+          outcome.latency = Date.now() - startedAt;
+
+          // Discard the body, unless the check asserts on it
+          if (!checkData.bodyContains && !checkData.bodyMatches) {
+            response.resume();
+            return sendOutcome();
+          }
+
+          // The connection may drop before the end of the body
+          const onClose = () => {
+            if (!response.complete) fail('connection closed');
+          };
+          response.on('aborted', () => fail('connection aborted'));
+          response.on('error', fail);
+          response.on('close', onClose);
+
+          const decoder = new StringDecoder('utf-8');
+          let body = '';
+          response.on('data', chunk => {
+            body += decoder.write(chunk);
+            if (body.length >= config.maxCheckResponseSize) {
+              outcome.body = body.slice(0, config.maxCheckResponseSize);
+              sendOutcome();
+              // The rest of the body is of no interest, its connection isn't closed by a failure
+              response.removeListener('close', onClose);
+              response.destroy();
+            }
+          });
+          response.on('end', () => {
+            outcome.body = body + decoder.end();
+            sendOutcome();
+          });
+        });
+      } catch (error) {
+        return fail(error);
+      }
+
+      // Bind to the error event so it doesn't get thrown
+      request.on('error', fail);
+
+      // Idle sockets time out, and so does the whole exchange, however slowly the data trickles in
+      const timeOut = () => {
+        if (outcomeSent) return;
+        fail('timeout');
+        request.destroy();
+      };
+      request.on('timeout', timeOut);
+      deadline = setTimeout(timeOut, checkData.timeoutSeconds * 1000);
+
+      request.end(checkData.body);
+    }),
+
+  /**
+   * Test a pattern of a user against a string in a thread of its own, terminated after
+   * config.checkPatternTimeout: a pattern backtracking catastrophically can't block the event loop
+   *
+   * @param { string } source
+   * @param { string } str
+   * @returns { Promise<boolean | 'timeout'> }
+   */
+  matchesPattern: (source, str) =>
+    new Promise(resolve => {
+      const thread = new Worker(patternThreadCode, {
+        eval: true,
+        workerData: { source, str },
+        resourceLimits: { maxOldGenerationSizeMb: 64 },
+      });
+      let settled = false;
+      const settle = result => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        thread.terminate();
+        resolve(result);
+      };
+
+      const timeout = setTimeout(
+        () => settle('timeout'),
+        config.checkPatternTimeout
+      );
+      thread.on('message', matches => settle(matches === true));
+      thread.on('error', () => settle(false));
+      thread.on('exit', () => settle(false));
+    }),
+
+  /**
+   * Decide if the check is up or down: the request must have succeeded with one of the
+   * success codes, within the maximum latency, with a body matching the assertions if any
+   *
+   * @param { object } checkData
+   * @param { { error: any, responseCode: false | number, latency: number, body?: string } } outcome
+   * @returns { Promise<{ state: 'up' | 'down', reason: string | false }> }
+   */
+  evaluateOutcome: async (checkData, outcome) => {
+    const down = reason => ({ state: 'down', reason });
+
+    if (outcome.error) return down('request failed');
+    if (!checkData.successCodes.includes(outcome.responseCode))
+      return down('unexpected response code');
+    if (checkData.maxLatencyMs && outcome.latency > checkData.maxLatencyMs)
+      return down('too slow');
+    if (
+      checkData.bodyContains &&
+      !(outcome.body || '').includes(checkData.bodyContains)
+    )
+      return down('body does not contain the expected text');
+    if (checkData.bodyMatches) {
+      const matches = await workers.matchesPattern(
+        checkData.bodyMatches,
+        outcome.body || ''
+      );
+      if (matches === 'timeout')
+        return down('the expected pattern took too long to test');
+      if (!matches) return down('body does not match the expected pattern');
+    }
+
+    return { state: 'up', reason: false };
+  },
+
+  /**
+   * Decide if the check is up or down, persist the result onto the check record
+   * and append it to the check history.
+   * The record may have been edited or deleted while the check was performed: only the fields owned
+   * by the workers are written, onto its latest version, and the outcome of a deleted check is dropped
+   *
+   * @param { object } checkData check as it was before this execution
+   * @param { { error: any, responseCode: false | number, latency: number } } outcome
+   * @returns { Promise<object | null> } the updated check, null if it was deleted
+   */
+  processCheckOutcome: async (checkData, outcome) => {
+    const { state, reason } = await workers.evaluateOutcome(checkData, outcome);
+    const lastChecked = Date.now();
+
+    let newCheckData = await workers.updateOwnFields(checkData.id, {
+      state,
+      lastChecked,
+    });
+    if (!newCheckData) return null;
+
+    // The alert fields are only written by the workers, so the ones read before the execution are current
+    if (workers.alertWarranted(checkData, state, lastChecked))
+      try {
+        await workers.alertUserToStatusChange(newCheckData);
+        newCheckData =
+          (await workers.updateOwnFields(checkData.id, {
+            lastAlertedState: state,
+            lastAlerted: lastChecked,
+          })) || newCheckData;
+      } catch (error) {
+        logger.error('Could not alert the user about check', {
+          checkId: checkData.id,
+          error,
+        });
+      }
+
+    try {
+      await logs.append(checkData.id, {
+        timestamp: lastChecked,
+        responseCode: outcome.responseCode,
+        latency: outcome.latency,
+        outcome: state,
+        reason,
+        error: outcome.error
+          ? String(outcome.error.value.message || outcome.error.value)
+          : false,
+      });
+    } catch (error) {
+      logger.error('Could not log check', { checkId: checkData.id, error });
+    }
+
+    return newCheckData;
+  },
+
+  /**
+   * Write fields owned by the workers (state, lastChecked, lastAlertedState, lastAlerted)
+   * onto the latest version of a check, under its lock
+   *
+   * @param { string } checkId
+   * @param { object } fields
+   * @returns { Promise<object | null> } the updated check, null if it no longer exists
+   */
+  updateOwnFields: (checkId, fields) =>
+    _data.withLock('checks', checkId, async () => {
+      let latestCheckData;
+      try {
+        latestCheckData = await _data.read('checks', checkId);
+      } catch {
+        return null;
+      }
+
+      const newCheckData = { ...latestCheckData, ...fields };
+      await _data.update('checks', checkId, newCheckData);
+      return newCheckData;
+    }),
+
+  /**
+   * Decide if the user has to be told about the new state of the check.
+   * The state is compared against the one the user was last told about (not the previous one),
+   * and alerts are no more frequent than config.alertCooldown, so a flapping check doesn't spam the user
+   *
+   * @param { object } checkData check as it was before this execution
+   * @param { 'up' | 'down' } state
+   * @param { number } now
+   * @returns { boolean }
+   */
+  alertWarranted: (checkData, state, now) => {
+    // Nothing to compare against if the check has never been performed before
+    if (!checkData.lastChecked) return false;
+
+    const lastAlertedState = checkData.lastAlertedState || checkData.state;
+    if (lastAlertedState === state) return false;
+
+    return !(
+      typeof checkData.lastAlerted === 'number' &&
+      now - checkData.lastAlerted < config.alertCooldown
+    );
+  },
+
+  /**
+   * Notify the owner of the check about its new state
+   *
+   * @param { object } checkData
+   * @returns { Promise<void> }
+   */
+  alertUserToStatusChange: async checkData => {
+    const userData = await _data.read('users', checkData.userPhone);
+
+    const message = `Alert: Your check for ${checkData.method.toUpperCase()} ${
+      checkData.protocol
+    }://${checkData.url} is currently ${checkData.state}`;
+
+    await notifications.send({
+      phone: userData.phone,
+      message,
+      check: alertCheck(checkData),
+    });
+  },
+
+  /**
+   * Compress the logs of the past days
+   */
+  rotateLogs: async () => {
+    try {
+      await logs.rotate();
+    } catch (error) {
+      logger.error('Could not rotate the logs', { error });
+    }
+  },
+
+  /**
+   * Execute the checks which are due once per config.checksTick
+   * and rotate the logs once per config.logRotationInterval
+   */
+  loop: () => {
+    workers.interval = setInterval(workers.gatherAllChecks, config.checksTick);
+    workers.rotationInterval = setInterval(
+      workers.rotateLogs,
+      config.logRotationInterval
+    );
+  },
+
+  /**
+   * Execute all the checks and rotate the logs immediately, then keep doing it on a loop
+   */
+  init: () => {
+    workers.gatherAllChecks();
+    workers.rotateLogs();
+    workers.loop();
+  },
+
+  /**
+   * Stop executing the checks and rotating the logs
+   */
+  stop: () => {
+    clearInterval(workers.interval);
+    clearInterval(workers.rotationInterval);
+    workers.interval = null;
+    workers.rotationInterval = null;
+  },
+
+  /**
+   * Tell if the checks are being executed on a loop
+   *
+   * @returns { boolean }
+   */
+  isRunning: () => workers.interval !== null,
+};
+
+// Export the module
+module.exports = workers;
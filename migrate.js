@@ -0,0 +1,48 @@
+/**
+ * Copy the records of one storage driver into another
+ *
+ * Usage: node migrate.js <to> [from]
+ * e.g. `node migrate.js sqlite` copies the JSON files of .data into the SQLite database.
+ * The check history is left where it is, in .data/logs, which every driver shares
+ */
+
+// Dependencies
+const _data = require('./lib/data');
+
+const [to, from = 'file'] = process.argv.slice(2);
+
+const migrate = async () => {
+  if (!to || to === from)
+    throw new Error('Usage: node migrate.js <to> [from], with <to> != [from]');
+
+  const source = _data.createDriver(from);
+  const target = _data.createDriver(to);
+
+  for (const dir of _data.dirs) {
+    const ids = await source.list(dir);
+
+    let created = 0;
+    let updated = 0;
+    for (const id of ids) {
+      const record = await source.read(dir, id);
+
+      // Running the migration again overwrites what the previous run copied
+      if (await target.exists(dir, id)) {
+        await target.update(dir, id, record);
+        updated++;
+      } else {
+        await target.create(dir, id, record);
+        created++;
+      }
+    }
+
+    console.log(`${dir}: ${created} created, ${updated} updated`);
+  }
+
+  if (target.close) target.close();
+};
+
+migrate().catch(error => {
+  console.log('Error: The migration failed', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,375 @@
+/**
+ * Frontend logic of the dashboard
+ *
+ * The pages are static: the forms are sent to the JSON API, and the data of the pages
+ * is loaded from it, with the token of the session kept in localStorage
+ */
+
+// Container for the frontend application
+const app = {
+  // Prefix of the pages and of the API, templateGlobals.baseUrl as given by the body of the page
+  baseUrl: '/',
+
+  // Token of the session, as issued by POST /tokens
+  session: null,
+
+  // Pages which need a session, by class of the body
+  privatePages: ['accountEdit', 'checksList', 'checksCreate', 'checksEdit'],
+
+  // Error of the API when the token of the session is no longer valid
+  tokenError: 'Token is missing or invalid',
+
+  // Optional settings of the checks, removed when left empty in the edit form
+  optionalCheckFields: ['intervalSeconds', 'maxLatencyMs', 'bodyContains'],
+
+  /**
+   * URL of a page or of a route of the API, under the base URL
+   *
+   * @param { string } path e.g. 'checks/all'
+   * @returns { string }
+   */
+  url: path => `${app.baseUrl}${path}`,
+
+  /**
+   * Call the API
+   *
+   * @param { { path: string, method?: string, query?: object, payload?: object } } request
+   * path is the URL of the route, e.g. app.url('tokens')
+   * @returns { Promise<{ statusCode: number, payload: any }> }
+   */
+  request: async ({ path, method = 'GET', query = {}, payload }) => {
+    const search = new URLSearchParams(query).toString();
+    const headers = { 'Content-Type': 'application/json' };
+    if (app.session) headers.token = app.session.id;
+
+    const response = await fetch(`${path}${search ? `?${search}` : ''}`, {
+      method,
+      headers,
+      body: payload === undefined ? undefined : JSON.stringify(payload),
+    });
+
+    let responsePayload = {};
+    try {
+      responsePayload = await response.json();
+    } catch {
+      // Some responses have no body
+    }
+
+    return { statusCode: response.status, payload: responsePayload };
+  },
+
+  /**
+   * Read the fields of a form into a payload: integers for the fields marked as such,
+   * arrays for the checkbox groups, booleans for the single checkboxes. Empty fields are left out
+   *
+   * @param { HTMLFormElement } form
+   * @returns { object }
+   */
+  readForm: form => {
+    const payload = {};
+
+    Array.from(form.elements)
+      .filter(element => element.name && !element.disabled)
+      .forEach(element => {
+        const { name, type, value } = element;
+        const group = form.querySelectorAll(
+          `input[type="checkbox"][name="${name}"]`
+        );
+
+        if (type === 'checkbox' && group.length > 1) {
+          if (!payload[name]) payload[name] = [];
+          if (element.checked) payload[name].push(parseInt(value, 10));
+        } else if (type === 'checkbox') payload[name] = element.checked;
+        else if (value.trim().length > 0)
+          payload[name] =
+            element.dataset.type === 'integer' ? parseInt(value, 10) : value;
+      });
+
+    return payload;
+  },
+
+  /**
+   * Show the error of the API in a form
+   *
+   * @param { HTMLFormElement } form
+   * @param { { statusCode: number, payload: any } } response
+   */
+  showError: (form, response) => {
+    const {
+      error: message = 'An error has occurred, please try again',
+      fields,
+    } = response.payload || {};
+    const details = fields
+      ? `: ${fields.map(field => `${field.field} ${field.message}`).join(', ')}`
+      : '';
+
+    const element = form.querySelector('.formError');
+    element.textContent = `${message}${details}`;
+    element.style.display = 'block';
+  },
+
+  /**
+   * Send a form to the API on submit
+   *
+   * @param { HTMLFormElement } form
+   */
+  bindForm: form => {
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      if (form.dataset.confirm && !window.confirm(form.dataset.confirm)) return;
+
+      form.querySelectorAll('.formError, .formSuccess').forEach(element => {
+        element.style.display = 'none';
+      });
+
+      const method = form.getAttribute('method').toUpperCase();
+      const payload = app.readForm(form);
+      if (form.id === 'checksEdit1') {
+        const unset = app.optionalCheckFields.filter(
+          field => payload[field] === undefined && form.dataset[field] === 'set'
+        );
+        if (unset.length > 0) payload.unset = unset;
+      }
+
+      // The fields of the GET & DELETE requests are sent in the query string
+      const response = await app.request(
+        ['GET', 'DELETE'].includes(method)
+          ? { path: form.getAttribute('action'), method, query: payload }
+          : { path: form.getAttribute('action'), method, payload }
+      );
+
+      // Other 403s are refusals the user can do something about, e.g. verifying their phone
+      if (
+        response.statusCode === 403 &&
+        response.payload.error === app.tokenError
+      )
+        return app.logOut(false);
+      if (response.statusCode !== 200) return app.showError(form, response);
+
+      app.formResponseProcessor(form, payload, response.payload);
+    });
+  },
+
+  /**
+   * What to do once a form has been accepted by the API
+   *
+   * @param { HTMLFormElement } form
+   * @param { object } requestPayload
+   * @param { any } responsePayload
+   */
+  formResponseProcessor: async (form, requestPayload, responsePayload) => {
+    switch (form.id) {
+      // Log the new user in
+      case 'accountCreate': {
+        const response = await app.request({
+          path: app.url('tokens'),
+          method: 'POST',
+          payload: {
+            phone: requestPayload.phone,
+            password: requestPayload.password,
+          },
+        });
+        if (response.statusCode !== 200)
+          return app.showError(form, {
+            payload: { error: 'Your account was created, please log in' },
+          });
+
+        app.setSession(response.payload);
+        return window.location.assign(app.url('checks/all'));
+      }
+
+      case 'sessionCreate':
+        app.setSession(responsePayload);
+        return window.location.assign(app.url('checks/all'));
+
+      case 'accountEdit3':
+        app.setSession(null);
+        return window.location.assign(app.url('account/deleted'));
+
+      case 'accountVerify2':
+        return app.showPhoneVerified(true);
+
+      case 'checksCreate':
+      case 'checksEdit2':
+        return window.location.assign(app.url('checks/all'));
+
+      default: {
+        const success = form.querySelector('.formSuccess');
+        if (success) success.style.display = 'block';
+      }
+    }
+  },
+
+  /**
+   * Show either the forms verifying the phone of the account, or that it is verified
+   *
+   * @param { boolean } verified
+   */
+  showPhoneVerified: verified => {
+    document.getElementById('phoneVerified').hidden = !verified;
+    ['accountVerify1', 'accountVerify2'].forEach(id => {
+      document.getElementById(id).hidden = verified;
+    });
+  },
+
+  /**
+   * Keep the session in memory & localStorage, and show the links matching it
+   *
+   * @param { object | null } session
+   */
+  setSession: session => {
+    app.session = session;
+    if (session) localStorage.setItem('session', JSON.stringify(session));
+    else localStorage.removeItem('session');
+
+    document.body.classList.toggle('loggedIn', Boolean(session));
+  },
+
+  /**
+   * Read the session from localStorage
+   */
+  loadSession: () => {
+    try {
+      app.setSession(JSON.parse(localStorage.getItem('session')));
+    } catch {
+      app.setSession(null);
+    }
+  },
+
+  /**
+   * Trade the refresh token for a new session when the current one is about to expire
+   */
+  renewSession: async () => {
+    if (!app.session || app.session.expires - Date.now() > 10 * 60 * 1000)
+      return;
+
+    const response = await app.request({
+      path: app.url('tokens/refresh'),
+      method: 'POST',
+      payload: { refreshToken: app.session.refreshToken },
+    });
+    response.statusCode === 200
+      ? app.setSession(response.payload)
+      : app.logOut(false);
+  },
+
+  /**
+   * Revoke the token and go to the logged out page
+   *
+   * @param { boolean } revoke false if the token is known to be invalid already
+   */
+  logOut: async (revoke = true) => {
+    if (revoke && app.session)
+      await app.request({
+        path: app.url(`tokens/${app.session.id}`),
+        method: 'DELETE',
+      });
+
+    app.setSession(null);
+    window.location.assign(app.url('session/deleted'));
+  },
+
+  /**
+   * Fill the fields of a form with the values of a record
+   *
+   * @param { HTMLFormElement } form
+   * @param { object } record
+   */
+  fillForm: (form, record) => {
+    Array.from(form.elements)
+      .filter(element => element.name && record[element.name] !== undefined)
+      .forEach(element => {
+        const value = record[element.name];
+        if (element.type === 'checkbox')
+          element.checked =
+            value instanceof Array
+              ? value.includes(parseInt(element.value, 10))
+              : Boolean(value);
+        else element.value = value;
+      });
+  },
+
+  // Data loaders of the pages which show records, by class of the body
+  loaders: {
+    accountEdit: async () => {
+      const { phone } = app.session;
+      const response = await app.request({ path: app.url(`users/${phone}`) });
+      if (response.statusCode !== 200) return app.logOut(false);
+
+      document.querySelectorAll('.sessionPhone').forEach(element => {
+        element.value = phone;
+      });
+      app.fillForm(document.getElementById('accountEdit1'), response.payload);
+      app.showPhoneVerified(Boolean(response.payload.verified));
+    },
+
+    checksList: async () => {
+      const response = await app.request({
+        path: app.url(`users/${app.session.phone}/checks`),
+      });
+      if (response.statusCode !== 200) return app.logOut(false);
+
+      const checks = response.payload;
+      const tbody = document.querySelector('#checksListTable tbody');
+      checks.forEach(check => {
+        const row = tbody.insertRow();
+        [
+          check.method.toUpperCase(),
+          `${check.protocol}://`,
+          check.url,
+          check.state || 'unknown',
+        ].forEach(text => {
+          row.insertCell().textContent = text;
+        });
+
+        const link = document.createElement('a');
+        link.href = app.url(`checks/edit?id=${encodeURIComponent(check.id)}`);
+        link.textContent = 'View / Edit / Delete';
+        row.insertCell().appendChild(link);
+      });
+
+      document.getElementById('noChecksMessage').hidden = checks.length > 0;
+    },
+
+    checksEdit: async () => {
+      const id = new URLSearchParams(window.location.search).get('id');
+      const response = await app.request({ path: app.url(`checks/${id}`) });
+      if (response.statusCode !== 200)
+        return window.location.assign(app.url('checks/all'));
+
+      const check = response.payload;
+      const form = document.getElementById('checksEdit1');
+      document.querySelectorAll('.checkId').forEach(element => {
+        element.value = check.id;
+      });
+      app.fillForm(form, check);
+      app.optionalCheckFields
+        .filter(field => check[field] !== undefined)
+        .forEach(field => {
+          form.dataset[field] = 'set';
+        });
+    },
+  },
+
+  init: () => {
+    app.baseUrl = document.body.dataset.baseUrl || app.baseUrl;
+    app.loadSession();
+
+    // The pages of the account and the checks need a session
+    const page = document.body.className.split(' ')[0];
+    if (app.privatePages.includes(page) && !app.session)
+      return window.location.assign(app.url('session/create'));
+    if (app.loaders[page]) app.loaders[page]();
+
+    document.querySelectorAll('form').forEach(app.bindForm);
+    document.getElementById('logoutButton').addEventListener('click', event => {
+      event.preventDefault();
+      app.logOut();
+    });
+
+    app.renewSession();
+    setInterval(app.renewSession, 60 * 1000);
+  },
+};
+
+window.addEventListener('DOMContentLoaded', app.init);
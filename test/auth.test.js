@@ -0,0 +1,128 @@
+/**
+ * Tests of the authorization of the requests and of the audit trail of the admin accesses
+ */
+
+// Dependencies
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const audit = require('../lib/audit');
+const auth = require('../lib/auth');
+const _data = require('../lib/data');
+const tokens = require('../lib/tokens');
+
+const userPhone = '5551234567';
+const adminPhone = '5550000000';
+
+/**
+ * Create a user and log them in
+ *
+ * @param { string } phone
+ * @param { object } [fields]
+ * @returns { Promise<string> } the access token
+ */
+const logIn = async (phone, fields = {}) => {
+  await _data.create('users', phone, { phone, checks: [], ...fields });
+  return (await tokens.create(phone)).id;
+};
+
+beforeEach(() => {
+  _data.use('memory');
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('auth.authorize', () => {
+  it('lets the users act on their own records, without an audit entry', async () => {
+    const token = await logIn(userPhone);
+
+    assert.deepStrictEqual(
+      await auth.authorize(token, {
+        owner: userPhone,
+        permission: 'users:read',
+      }),
+      { phone: userPhone, role: 'user' }
+    );
+    assert.deepStrictEqual((await audit.list()).items, []);
+  });
+
+  it('refuses the records of the others to the users', async () => {
+    const token = await logIn(userPhone);
+
+    assert.strictEqual(
+      await auth.authorize(token, {
+        owner: adminPhone,
+        permission: 'users:read',
+      }),
+      false
+    );
+  });
+
+  it('lets the admins in through their role, and records it', async () => {
+    const token = await logIn(adminPhone, { role: 'admin' });
+
+    const principal = await auth.authorize(token, {
+      owner: userPhone,
+      permission: 'checks:read',
+      target: { checkId: 'abc' },
+    });
+    assert.deepStrictEqual(principal, { phone: adminPhone, role: 'admin' });
+
+    const [entry] = (await audit.list()).items;
+    assert.strictEqual(entry.actor, adminPhone);
+    assert.strictEqual(entry.action, 'checks:read');
+    assert.deepStrictEqual(entry.target, { phone: userPhone, checkId: 'abc' });
+  });
+
+  it('refuses the admin access which could not be recorded', async () => {
+    const token = await logIn(adminPhone, { role: 'admin' });
+    mock.method(audit, 'record', async () => {
+      throw new Error('Disk full');
+    });
+
+    assert.strictEqual(
+      await auth.authorize(token, {
+        owner: userPhone,
+        permission: 'users:read',
+      }),
+      false
+    );
+  });
+
+  it('refuses the permissions the role does not have', async () => {
+    const token = await logIn(adminPhone, { role: 'admin' });
+
+    assert.strictEqual(
+      await auth.authorize(token, {
+        owner: userPhone,
+        permission: 'users:delete',
+      }),
+      false
+    );
+  });
+
+  it('refuses the suspended accounts and the expired tokens', async () => {
+    const suspendedToken = await logIn(userPhone, { suspended: true });
+    assert.strictEqual(
+      await auth.authorize(suspendedToken, {
+        owner: userPhone,
+        permission: 'users:read',
+      }),
+      false
+    );
+
+    const token = await logIn(adminPhone);
+    const id = tokens.recordId(token);
+    const tokenData = await _data.read('tokens', id);
+    await _data.update('tokens', id, { ...tokenData, expires: Date.now() });
+    assert.strictEqual(
+      await auth.authorize(token, {
+        owner: adminPhone,
+        permission: 'users:read',
+      }),
+      false
+    );
+  });
+});
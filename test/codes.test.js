@@ -0,0 +1,89 @@
+/**
+ * Tests of the one-time codes, sent through the fake notification transport of the test environment
+ */
+
+// Dependencies
+const assert = require('assert');
+const { describe, it, beforeEach } = require('node:test');
+
+const config = require('../lib/config');
+const codes = require('../lib/codes');
+const _data = require('../lib/data');
+const notifications = require('../lib/notifications');
+
+const phone = '5551234567';
+
+/**
+ * Send a code and read it back from the message recorded by the fake transport
+ *
+ * @returns { Promise<string> }
+ */
+const sendCode = async () => {
+  await codes.send(phone, 'verification');
+
+  const { sent } = notifications.transports.fake;
+  return sent[sent.length - 1].message.split(' ')[0];
+};
+
+beforeEach(() => {
+  _data.use('memory');
+  notifications.transports.fake.sent.length = 0;
+});
+
+describe('codes', () => {
+  it('can be used only once', async () => {
+    const code = await sendCode();
+
+    assert.strictEqual(await codes.consume(phone, 'verification', code), true);
+    assert.strictEqual(await codes.consume(phone, 'verification', code), false);
+  });
+
+  it('are not sent again before the resend interval', async () => {
+    await sendCode();
+
+    const { sent, retryAfter } = await codes.send(phone, 'verification');
+    assert.strictEqual(sent, false);
+    assert.ok(retryAfter > 0);
+    assert.strictEqual(notifications.transports.fake.sent.length, 1);
+  });
+
+  it('expire', async () => {
+    const code = await sendCode();
+    const id = codes.recordId(phone, 'verification');
+    const record = await _data.read('codes', id);
+    await _data.update('codes', id, { ...record, expires: Date.now() - 1 });
+
+    assert.strictEqual(await codes.consume(phone, 'verification', code), false);
+    assert.strictEqual(await _data.exists('codes', id), false);
+  });
+
+  it('are dropped after too many wrong guesses', async () => {
+    const code = await sendCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let attempt = 1; attempt < config.codes.maxAttempts; attempt++)
+      assert.strictEqual(
+        await codes.consume(phone, 'verification', wrong),
+        false
+      );
+    // The right code still works until the last attempt is used up
+    const id = codes.recordId(phone, 'verification');
+    assert.strictEqual(await _data.exists('codes', id), true);
+
+    assert.strictEqual(
+      await codes.consume(phone, 'verification', wrong),
+      false
+    );
+    assert.strictEqual(await codes.consume(phone, 'verification', code), false);
+  });
+
+  it('are checked for the purpose they were sent for', async () => {
+    const code = await sendCode();
+
+    assert.strictEqual(
+      await codes.consume(phone, 'passwordReset', code),
+      false
+    );
+    assert.strictEqual(await codes.consume(phone, 'verification', code), true);
+  });
+});
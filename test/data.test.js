@@ -0,0 +1,149 @@
+/**
+ * Tests of the data layer, on the memory driver of the test environment
+ */
+
+// Dependencies
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+
+const _data = require('../lib/data');
+
+beforeEach(() => {
+  _data.use('memory');
+});
+
+describe('_data.withLocks', () => {
+  it('waits for the holders of any of the locks', async () => {
+    const events = [];
+    let release;
+    const held = _data.withLock(
+      'checks',
+      'b',
+      () => new Promise(resolve => (release = resolve))
+    );
+
+    const both = _data.withLocks('checks', ['b', 'a'], async () =>
+      events.push('both')
+    );
+    await new Promise(resolve => setImmediate(resolve));
+    events.push('released');
+    release();
+    await Promise.all([held, both]);
+
+    assert.deepStrictEqual(events, ['released', 'both']);
+  });
+});
+
+describe('_data.transaction', () => {
+  it('keeps the writes when it resolves', async () => {
+    await _data.transaction(async transaction => {
+      await transaction.create('users', 'a', { name: 'A' });
+      await transaction.create('checks', 'b', { name: 'B' });
+    });
+
+    assert.deepStrictEqual(await _data.read('users', 'a'), { name: 'A' });
+    assert.deepStrictEqual(await _data.read('checks', 'b'), { name: 'B' });
+  });
+
+  it('rolls every write back when it rejects', async () => {
+    await _data.create('users', 'updated', { version: 1 });
+    await _data.create('users', 'deleted', { version: 1 });
+
+    await assert.rejects(
+      _data.transaction(async transaction => {
+        await transaction.create('users', 'created', { version: 1 });
+        await transaction.update('users', 'updated', { version: 2 });
+        await transaction.delete('users', 'deleted');
+        throw 'Failed';
+      }),
+      error => error === 'Failed'
+    );
+
+    assert.strictEqual(await _data.exists('users', 'created'), false);
+    assert.deepStrictEqual(await _data.read('users', 'updated'), {
+      version: 1,
+    });
+    assert.deepStrictEqual(await _data.read('users', 'deleted'), {
+      version: 1,
+    });
+  });
+});
+
+describe('_data.query', () => {
+  beforeEach(async () => {
+    for (const [id, score] of [
+      ['a', 3],
+      ['b', 1],
+      ['c', 2],
+      ['d', 2],
+      ['e', 5],
+    ])
+      await _data.create('checks', id, { id, score, even: score % 2 === 0 });
+  });
+
+  const ids = page => page.items.map(({ id }) => id);
+
+  it('walks through the pages with the cursor', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await _data.query('checks', {
+        sortBy: 'score',
+        limit: 2,
+        cursor,
+      });
+      assert.ok(page.items.length <= 2);
+      seen.push(...ids(page));
+      cursor = page.next === null ? undefined : page.next;
+    } while (cursor !== undefined);
+
+    assert.deepStrictEqual(seen, ['b', 'c', 'd', 'a', 'e']);
+  });
+
+  it('sorts in descending order and filters', async () => {
+    const first = await _data.query('checks', {
+      sortBy: 'score',
+      order: 'desc',
+      limit: 3,
+    });
+    assert.deepStrictEqual(ids(first), ['e', 'a', 'd']);
+
+    const second = await _data.query('checks', {
+      sortBy: 'score',
+      order: 'desc',
+      limit: 3,
+      cursor: first.next,
+    });
+    assert.deepStrictEqual(ids(second), ['c', 'b']);
+    assert.strictEqual(second.next, null);
+
+    const even = await _data.query('checks', { filter: { even: true } });
+    assert.deepStrictEqual(ids(even), ['c', 'd']);
+  });
+
+  it('rejects an invalid cursor', async () => {
+    await assert.rejects(_data.query('checks', { cursor: 'nope' }));
+  });
+});
+
+describe('_data.isWritable', () => {
+  it('answers concurrent probes alike, and leaves nothing behind', async () => {
+    const { baseDir } = _data;
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-'));
+    _data.baseDir = path.join(tempDir, '.data/');
+
+    try {
+      const results = await Promise.all(
+        Array.from({ length: 20 }, () => _data.isWritable())
+      );
+      assert.ok(results.every(writable => writable === true));
+      assert.deepStrictEqual(fs.readdirSync(_data.baseDir), []);
+    } finally {
+      _data.baseDir = baseDir;
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests of the maintenance tasks
+ */
+
+// Dependencies
+const assert = require('assert');
+const { describe, it, mock, afterEach } = require('node:test');
+
+const config = require('../lib/config');
+const _data = require('../lib/data');
+const logs = require('../lib/logs');
+const maintenance = require('../lib/maintenance');
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('maintenance.pruneCheckHistory', () => {
+  it('keeps config.retention.historyDays days, the current one included', async () => {
+    const now = Date.parse('2020-01-31T12:00:00Z');
+    const days = ['2020-01-28', '2020-01-29', '2020-01-30', '2020-01-31'];
+    mock.method(logs, 'list', async () =>
+      days.map(day => ({ fileName: `check_${day}.log`, day }))
+    );
+    const { historyDays } = config.retention;
+    config.retention.historyDays = 2;
+
+    try {
+      assert.deepStrictEqual(
+        await maintenance.pruneCheckHistory({ dryRun: true, now }),
+        ['check_2020-01-28.log', 'check_2020-01-29.log']
+      );
+    } finally {
+      config.retention.historyDays = historyDays;
+    }
+  });
+});
+
+describe('maintenance.removeOrphanedChecks', () => {
+  it('removes the checks whose user is gone or does not list them', async () => {
+    _data.use('memory');
+    mock.method(logs, 'remove', async () => {});
+
+    await _data.create('users', '5551234567', { checks: ['listed'] });
+    for (const [id, userPhone] of [
+      ['listed', '5551234567'],
+      ['unlisted', '5551234567'],
+      ['ownerless', '5550000000'],
+    ])
+      await _data.create('checks', id, { id, userPhone });
+
+    assert.deepStrictEqual(
+      (await maintenance.removeOrphanedChecks({ dryRun: false })).sort(),
+      ['ownerless', 'unlisted']
+    );
+    assert.deepStrictEqual(await _data.list('checks'), ['listed']);
+    assert.strictEqual(logs.remove.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests of the rate limits and of the lockout of the accounts after failed logins
+ */
+
+// Dependencies
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const config = require('../lib/config');
+const rateLimit = require('../lib/rateLimit');
+
+const limit = { capacity: 2, interval: 60 * 1000 };
+
+describe('rateLimit.take', () => {
+  it('empties the bucket, then refills it steadily', () => {
+    const now = Date.now();
+
+    assert.strictEqual(rateLimit.take('take', limit, now).remaining, 1);
+    assert.strictEqual(rateLimit.take('take', limit, now).remaining, 0);
+
+    const refused = rateLimit.take('take', limit, now);
+    assert.strictEqual(refused.allowed, false);
+    assert.strictEqual(refused.retryAfter, 30);
+
+    // One token is back after half the interval
+    assert.strictEqual(
+      rateLimit.take('take', limit, now + 30 * 1000).allowed,
+      true
+    );
+    assert.strictEqual(
+      rateLimit.take('take', limit, now + 30 * 1000).allowed,
+      false
+    );
+  });
+});
+
+describe('rateLimit.middleware', () => {
+  const middleware = rateLimit.middleware({
+    tokens: { post: { ip: limit, phone: { capacity: 1, interval: 1000 } } },
+  });
+  const request = fields => ({
+    route: 'tokens',
+    method: 'post',
+    params: {},
+    queryStringObject: {},
+    payload: {},
+    clientIp: '10.0.0.1',
+    ...fields,
+  });
+  const next = async () => ({ statusCode: 200 });
+
+  it('answers 429 with Retry-After once a bucket is empty', async () => {
+    const first = await middleware(
+      request({ payload: { phone: '5551234567' } }),
+      next
+    );
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(first.headers['X-RateLimit-Remaining'], 0);
+
+    // Limited by the phone, whatever the IP
+    const second = await middleware(
+      request({ payload: { phone: '5551234567' }, clientIp: '10.0.0.2' }),
+      next
+    );
+    assert.strictEqual(second.statusCode, 429);
+    assert.strictEqual(second.headers['Retry-After'], 1);
+  });
+
+  it('leaves the routes without limits alone', async () => {
+    let called = false;
+    const response = await middleware(request({ route: 'users' }), () => {
+      called = true;
+    });
+
+    assert.strictEqual(called, true);
+    assert.strictEqual(response, undefined);
+  });
+});
+
+describe('rateLimit login lockout', () => {
+  const { maxFailures, duration } = config.loginLockout;
+
+  it('locks the account after too many failures, for the lockout duration', () => {
+    const now = Date.now();
+    for (let failure = 1; failure < maxFailures; failure++)
+      rateLimit.loginFailed('5550000001', now);
+    assert.strictEqual(rateLimit.lockedFor('5550000001', now), 0);
+
+    rateLimit.loginFailed('5550000001', now);
+    assert.strictEqual(rateLimit.lockedFor('5550000001', now), duration / 1000);
+    assert.strictEqual(rateLimit.lockedFor('5550000001', now + duration), 0);
+  });
+
+  it('forgets the old failures and the ones before a login', () => {
+    const now = Date.now();
+    for (let failure = 1; failure < maxFailures; failure++)
+      rateLimit.loginFailed('5550000002', now);
+    rateLimit.loginFailed('5550000002', now + duration);
+    assert.strictEqual(rateLimit.lockedFor('5550000002', now + duration), 0);
+
+    for (let failure = 1; failure < maxFailures; failure++)
+      rateLimit.loginFailed('5550000003', now);
+    rateLimit.loginSucceeded('5550000003');
+    rateLimit.loginFailed('5550000003', now);
+    assert.strictEqual(rateLimit.lockedFor('5550000003', now), 0);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests of the router: matching of the paths, params and answers to the methods a route doesn't have
+ */
+
+// Dependencies
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const routing = require('../lib/router');
+
+/**
+ * Handler answering with what it was given
+ *
+ * @param { string } name
+ */
+const echo = name => async data => ({
+  statusCode: 200,
+  payload: { name, params: data.params, route: data.route },
+});
+
+const router = routing.create(
+  {
+    users: { get: echo('users'), post: echo('users:post') },
+    'users/:phone': { get: echo('user') },
+    'users/me': { get: echo('me') },
+    'public/*file': { get: echo('asset') },
+  },
+  async () => ({ statusCode: 404 })
+);
+
+const handle = (method, trimmedPath) => router.handle({ method, trimmedPath });
+
+describe('router', () => {
+  it('captures the params, preferring the static segments', async () => {
+    assert.deepStrictEqual((await handle('get', 'users/5551234567')).payload, {
+      name: 'user',
+      params: { phone: '5551234567' },
+      route: 'users/:phone',
+    });
+    assert.strictEqual((await handle('get', 'users/me')).payload.name, 'me');
+    assert.deepStrictEqual(
+      (await handle('get', 'public/css/app%20v2.css')).payload.params,
+      { file: 'css/app v2.css' }
+    );
+  });
+
+  it('answers 405 with the allowed methods', async () => {
+    assert.deepStrictEqual(await handle('delete', 'users'), {
+      statusCode: 405,
+      headers: { Allow: 'GET, POST, HEAD, OPTIONS' },
+    });
+  });
+
+  it('answers OPTIONS and handles HEAD with the GET handler', async () => {
+    assert.deepStrictEqual(await handle('options', 'users/me'), {
+      statusCode: 204,
+      headers: { Allow: 'GET, HEAD, OPTIONS' },
+    });
+    assert.strictEqual((await handle('head', 'users/me')).payload.name, 'me');
+  });
+
+  it('falls back to the not found handler', async () => {
+    assert.deepStrictEqual(await handle('get', 'nothing/here'), {
+      statusCode: 404,
+    });
+    assert.strictEqual(router.allowedMethods('nothing/here'), false);
+  });
+});
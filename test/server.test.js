@@ -0,0 +1,75 @@
+/**
+ * Tests of the HTTP server, started on free ports without the background workers
+ */
+
+// Dependencies
+const assert = require('assert');
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+
+const app = require('../index');
+
+let port;
+
+before(async () => {
+  ({ httpPort: port } = await app.start({
+    httpPort: 0,
+    httpsPort: 0,
+    workers: false,
+  }));
+});
+
+after(() => app.stop());
+
+/**
+ * Send a request, resolve with the response and its body
+ *
+ * @param { object } options passed to http.request
+ * @param { (request: http.ClientRequest) => void } write sends the body
+ * @returns { Promise<{ response: http.IncomingMessage, body: string }> }
+ */
+const send = (options, write) =>
+  new Promise((resolve, reject) => {
+    const request = http.request({ port, ...options }, response => {
+      let body = '';
+      response.on('data', chunk => (body += chunk));
+      response.on('end', () => resolve({ response, body }));
+    });
+    request.on('error', reject);
+    write(request);
+  });
+
+describe('body size limit', () => {
+  it('answers 413 to a body announced too large, without reading it', async () => {
+    const { response } = await send(
+      {
+        method: 'POST',
+        path: '/users',
+        headers: { 'Content-Length': 1024 ** 3 },
+      },
+      request => request.write('{')
+    );
+
+    assert.strictEqual(response.statusCode, 413);
+    assert.strictEqual(response.headers.connection, 'close');
+  });
+
+  it('answers 413 as soon as an endless body is over the limit', async () => {
+    let interval;
+    const { response, body } = await send(
+      {
+        method: 'POST',
+        path: '/users',
+        headers: { 'Content-Type': 'application/json' },
+      },
+      request => {
+        const chunk = Buffer.alloc(16 * 1024, ' ');
+        interval = setInterval(() => request.write(chunk), 1);
+      }
+    );
+    clearInterval(interval);
+
+    assert.strictEqual(response.statusCode, 413);
+    assert.deepStrictEqual(JSON.parse(body), { error: 'Payload too large' });
+  });
+});
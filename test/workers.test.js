@@ -0,0 +1,272 @@
+/**
+ * Tests of the execution of the checks: the up/down classification and the alerts
+ */
+
+// Dependencies
+const assert = require('assert');
+const http = require('http');
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} = require('node:test');
+
+const config = require('../lib/config');
+const _data = require('../lib/data');
+const logs = require('../lib/logs');
+const notifications = require('../lib/notifications');
+const workers = require('../lib/workers');
+
+const check = {
+  id: 'abcdefghijklmnopqrst',
+  userPhone: '5551234567',
+  protocol: 'http',
+  url: 'localhost',
+  method: 'get',
+  successCodes: [200, 201],
+  timeoutSeconds: 1,
+};
+
+describe('workers.evaluateOutcome', () => {
+  const outcome = { error: false, responseCode: 200, latency: 10, body: '' };
+
+  it('is up with a success code', async () => {
+    assert.deepStrictEqual(await workers.evaluateOutcome(check, outcome), {
+      state: 'up',
+      reason: false,
+    });
+  });
+
+  it('is down with another code, or when the request failed', async () => {
+    assert.deepStrictEqual(
+      await workers.evaluateOutcome(check, { ...outcome, responseCode: 500 }),
+      { state: 'down', reason: 'unexpected response code' }
+    );
+    assert.deepStrictEqual(
+      await workers.evaluateOutcome(check, {
+        ...outcome,
+        error: { error: true, value: 'timeout' },
+        responseCode: false,
+      }),
+      { state: 'down', reason: 'request failed' }
+    );
+  });
+
+  it('is down when too slow', async () => {
+    const { state, reason } = await workers.evaluateOutcome(
+      { ...check, maxLatencyMs: 5 },
+      outcome
+    );
+    assert.strictEqual(state, 'down');
+    assert.strictEqual(reason, 'too slow');
+  });
+
+  it('checks the body against the assertions', async () => {
+    const withBody = { ...outcome, body: '{"status":"ok"}' };
+
+    assert.strictEqual(
+      (
+        await workers.evaluateOutcome(
+          { ...check, bodyContains: 'ok' },
+          withBody
+        )
+      ).state,
+      'up'
+    );
+    assert.strictEqual(
+      (
+        await workers.evaluateOutcome(
+          { ...check, bodyContains: 'ko' },
+          withBody
+        )
+      ).state,
+      'down'
+    );
+    assert.strictEqual(
+      (
+        await workers.evaluateOutcome(
+          { ...check, bodyMatches: '"status":"o+k"' },
+          withBody
+        )
+      ).state,
+      'up'
+    );
+  });
+
+  it('gives up on a pattern backtracking catastrophically', async () => {
+    const { state, reason } = await workers.evaluateOutcome(
+      { ...check, bodyMatches: '^(a+)+$' },
+      { ...outcome, body: `${'a'.repeat(40)}!` }
+    );
+    assert.strictEqual(state, 'down');
+    assert.strictEqual(reason, 'the expected pattern took too long to test');
+  });
+});
+
+describe('workers.performCheck', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/slow') return setTimeout(() => res.end(), 3000);
+      res.writeHead(req.url === '/broken' ? 500 : 200);
+      res.end(
+        req.url === '/large'
+          ? `hello${'x'.repeat(2 * config.maxCheckResponseSize)}`
+          : 'hello'
+      );
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const perform = (path, fields = {}) =>
+    workers.performCheck({
+      ...check,
+      ...fields,
+      url: `localhost:${port}${path}`,
+    });
+
+  it('tells the response code and reads the body only if asked to', async () => {
+    const outcome = await perform('/');
+    assert.strictEqual(outcome.error, false);
+    assert.strictEqual(outcome.responseCode, 200);
+    assert.strictEqual(outcome.body, undefined);
+
+    assert.strictEqual((await perform('/broken')).responseCode, 500);
+  });
+
+  it('reads no more than config.maxCheckResponseSize of the body', async () => {
+    const largeCheck = { ...check, bodyContains: 'hello' };
+    const outcome = await perform('/large', largeCheck);
+    // Let the truncated response close
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.strictEqual(outcome.error, false);
+    assert.strictEqual(outcome.body.length, config.maxCheckResponseSize);
+    assert.strictEqual(
+      (await workers.evaluateOutcome(largeCheck, outcome)).state,
+      'up'
+    );
+  });
+
+  it('resolves with an error on a request Node refuses to send', async () => {
+    const outcome = await perform('/€');
+    assert.strictEqual(outcome.error.value.code, 'ERR_UNESCAPED_CHARACTERS');
+    assert.strictEqual(outcome.responseCode, false);
+  });
+
+  it('times out after the timeout of the check', async () => {
+    const outcome = await perform('/slow');
+    assert.strictEqual(outcome.error.value, 'timeout');
+    assert.strictEqual(outcome.responseCode, false);
+  });
+});
+
+describe('workers.alertWarranted', () => {
+  const now = Date.now();
+  const checked = { ...check, state: 'up', lastChecked: now - 60 * 1000 };
+
+  it('does not alert on the first execution', () => {
+    assert.strictEqual(
+      workers.alertWarranted({ ...check, state: 'down' }, 'up', now),
+      false
+    );
+  });
+
+  it('alerts when the state changes', () => {
+    assert.strictEqual(workers.alertWarranted(checked, 'down', now), true);
+    assert.strictEqual(workers.alertWarranted(checked, 'up', now), false);
+  });
+
+  it('compares against the state the user was last told about', () => {
+    // The check went down without an alert, e.g. during the cooldown, then up again
+    const flapped = {
+      ...checked,
+      state: 'down',
+      lastAlertedState: 'up',
+      lastAlerted: now - config.alertCooldown - 1,
+    };
+    assert.strictEqual(workers.alertWarranted(flapped, 'up', now), false);
+    assert.strictEqual(workers.alertWarranted(flapped, 'down', now), true);
+  });
+
+  it('does not alert more than once per cooldown', () => {
+    const alerted = {
+      ...checked,
+      lastAlertedState: 'up',
+      lastAlerted: now - config.alertCooldown / 2,
+    };
+    assert.strictEqual(workers.alertWarranted(alerted, 'down', now), false);
+    assert.strictEqual(
+      workers.alertWarranted(alerted, 'down', now + config.alertCooldown),
+      true
+    );
+  });
+});
+
+describe('workers.processCheckOutcome', () => {
+  const down = { error: false, responseCode: 500, latency: 10 };
+  const { sent } = notifications.transports.fake;
+
+  beforeEach(async () => {
+    _data.use('memory');
+    sent.length = 0;
+    // The history is kept on disk, whatever the driver
+    mock.method(logs, 'append', async () => {});
+
+    await _data.create('users', check.userPhone, {
+      phone: check.userPhone,
+      checks: [check.id],
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('alerts the user through the transport when the state changes', async () => {
+    const checkData = { ...check, state: 'up', lastChecked: Date.now() - 1000 };
+    await _data.create('checks', check.id, checkData);
+
+    const newCheckData = await workers.processCheckOutcome(checkData, down);
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].phone, check.userPhone);
+    assert.match(sent[0].message, /GET http:\/\/localhost is currently down$/);
+    assert.strictEqual(newCheckData.state, 'down');
+    assert.strictEqual(newCheckData.lastAlertedState, 'down');
+    assert.deepStrictEqual(await _data.read('checks', check.id), newCheckData);
+    assert.strictEqual(logs.append.mock.callCount(), 1);
+  });
+
+  it('does not alert again while the state stays the same', async () => {
+    let checkData = { ...check, state: 'up', lastChecked: Date.now() - 1000 };
+    await _data.create('checks', check.id, checkData);
+
+    checkData = await workers.processCheckOutcome(checkData, down);
+    await workers.processCheckOutcome(checkData, down);
+
+    assert.strictEqual(sent.length, 1);
+  });
+
+  it('drops the outcome of a check deleted in the meantime', async () => {
+    const checkData = { ...check, state: 'up', lastChecked: Date.now() - 1000 };
+
+    assert.strictEqual(
+      await workers.processCheckOutcome(checkData, down),
+      null
+    );
+    assert.strictEqual(sent.length, 0);
+  });
+});